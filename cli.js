@@ -42,10 +42,82 @@ const opkg = require('./packages.js');
 const ocfg = require('./configuration.js');
 const oweb = require('./webconfig.js');
 const outils = require('./utils.js');
+const osecrets = require('./secrets.js');
+const orepos = require('./repositories.js');
+const odist = require('./dist.js');
+const oi18n = require('./i18n.js');
 
 const ROOT = process.env.OSJS_ROOT || path.dirname(process.argv[1]);
 const DEBUG = process.argv.indexOf('--debug') !== -1;
 
+const createMocha = () => new Mocha({
+  bail: true,
+  reporter: 'spec',
+  timeout: 2000
+});
+
+/**
+ * Runs the tests of packages, one package at a time
+ * @param {Object} cli CLI wrapper
+ * @param {Object} cfg Configuration tree
+ * @param {Function} [filter] Package filter
+ * @return {Promise}
+ */
+const runPackageTests = (cli, cfg, filter) => {
+  const results = [];
+
+  return opkg.getMetadata(cfg, cli, filter).then((packages) => {
+    const names = Object.keys(packages).sort();
+    if ( !names.length ) {
+      throw new Error('No such package');
+    }
+
+    return promise.each(names, (name) => {
+      return opkg.findPackageTests(packages[name]).then((files) => {
+        if ( !files.length ) {
+          results.push({name, failures: null});
+          return true;
+        }
+
+        console.info('Testing', colors.green(name));
+
+        return new Promise((resolve) => {
+          const mocha = createMocha();
+          files.forEach(mocha.addFile.bind(mocha));
+
+          try {
+            mocha.run((failures) => {
+              results.push({name, failures});
+              resolve();
+            });
+          } catch ( e ) {
+            console.error(e);
+            results.push({name, failures: 1});
+            resolve();
+          }
+        });
+      });
+    });
+  }).then(() => {
+    console.log('');
+    results.forEach((r) => {
+      if ( r.failures === null ) {
+        console.log(colors.yellow('-'), r.name, 'has no tests');
+      } else if ( r.failures ) {
+        console.log(colors.red('x'), r.name, 'failed', r.failures, 'test(s)');
+      } else {
+        console.log(colors.green('+'), r.name, 'passed');
+      }
+    });
+
+    const failed = results.filter((r) => r.failures);
+    if ( failed.length ) {
+      process.exitCode = 1;
+      throw new Error(failed.length + ' package(s) failed their tests');
+    }
+  });
+};
+
 const getDefaultWebpackArgs = (cli) => {
   let args = [];
 
@@ -68,6 +140,8 @@ const getDefaultWebpackArgs = (cli) => {
 const cliWrapper = (cli) => {
   return {
     debug: DEBUG,
+    profile: cli.profile || process.env.OSJS_PROFILE || null,
+    snapshot: cli['config-snapshot'] || null,
     cli: cli,
     option: (k, defaultValue) => {
       if ( typeof cli[k] === 'undefined' ) {
@@ -85,14 +159,88 @@ const cliWrapper = (cli) => {
  * @return {Promise}
  */
 const newTask = (cli, fn) => new Promise((resolve, reject) => {
-  ocfg.readConfigurationTree().then((cfg) => {
-    const promise = fn(cliWrapper(cli), cfg, resolve, reject);
+  const wrapper = cliWrapper(cli);
+
+  const read = wrapper.snapshot
+    ? ocfg.readConfigurationSnapshot(wrapper.snapshot)
+    : ocfg.readConfigurationTree({profile: wrapper.profile});
+
+  read.then((cfg) => {
+    const promise = fn(wrapper, cfg, resolve, reject);
     if ( promise instanceof Promise ) {
       promise.then(resolve).catch(reject);
     }
   }).catch(reject);
 });
 
+/**
+ * Validates the configuration tree and prints any violations
+ * @param {Object} cli CLI wrapper
+ * @param {Object} cfg Configuration tree
+ * @return {Promise}
+ */
+const checkConfiguration = (cli, cfg) => new Promise((resolve, reject) => {
+  ocfg.validateConfiguration(cfg, {profile: cli.profile}).then((errors) => {
+    errors.forEach((err) => {
+      console.error(colors.red(err.key || '<root>'), err.message, colors.yellow('(' + (err.source || 'unknown source') + ')'));
+    });
+
+    if ( errors.length ) {
+      reject(new Error('Configuration has ' + errors.length + ' error(s)'));
+    } else {
+      resolve();
+    }
+  }).catch(reject);
+});
+
+/**
+ * Enables or disables a package and regenerates the server manifest
+ * @param {Object} cli CLI wrapper
+ * @param {Object} cfg Configuration tree
+ * @param {Boolean} enable Enable the package
+ * @return {Promise}
+ */
+const togglePackage = (cli, cfg, enable) => {
+  const name = cli.option('name');
+
+  return ocfg.togglePackage(cfg, cli, enable).then(() => {
+    console.log(enable ? 'Enabled' : 'Disabled', colors.green(name));
+    return ocfg.readConfigurationTree({profile: cli.profile});
+  }).then((newCfg) => {
+    console.info('Building', colors.blue('manifest'));
+    return opkg.buildServerManifest(newCfg, cli);
+  });
+};
+
+/**
+ * Reads a configuration tree from a diff specification
+ *
+ * - (empty) The current tree
+ * - profile:NAME The tree with given configuration profile
+ * - without:OVERLAY The current tree without given overlay
+ * - FILE A resolved snapshot (see config:dump)
+ *
+ * @param {Object} cli CLI wrapper
+ * @param {String} [spec] The specification
+ * @return {Promise}
+ */
+const readConfigurationSpec = (cli, spec) => {
+  spec = spec || '';
+
+  if ( spec.match(/^profile:/) ) {
+    return ocfg.readConfigurationTree({profile: spec.substr(8)});
+  } else if ( spec.match(/^without:/) ) {
+    return ocfg.readConfigurationTree({
+      profile: cli.profile,
+      excludeOverlays: [spec.substr(8)]
+    });
+  } else if ( spec ) {
+    return ocfg.readConfigurationSnapshot(spec);
+  }
+
+  return ocfg.readConfigurationTree({profile: cli.profile});
+};
+
 /*
  * All tasks
  */
@@ -102,6 +250,26 @@ const tasks = {
     ocfg.addMountpoint(cfg, cli).then(resolve).catch(reject);
   }),
 
+  'config:unmount': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    ocfg.removeMountpoint(cfg, cli).then(() => {
+      console.log('Removed mountpoint', cli.option('name'));
+      resolve();
+    }).catch(reject);
+  }),
+
+  'config:mounts': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    ocfg.getMountpoints(cfg).forEach((iter) => {
+      const client = iter.client ? iter.client.transport : '-';
+      const server = iter.server ? iter.server.destination : '-';
+      const name = iter.problems.length ? colors.red(iter.name) : colors.green(iter.name);
+
+      console.log(name, colors.yellow(client), server);
+      iter.problems.forEach((p) => console.log('  ' + colors.red('!'), p));
+    });
+
+    resolve();
+  }),
+
   'config:set': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
     const name = cli.option('name');
     ocfg.setConfiguration(name,
@@ -158,12 +326,162 @@ const tasks = {
     }
   }),
 
+  'config:explain': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    const name = cli.option('name');
+    if ( !name ) {
+      reject('You need to give --name');
+      return;
+    }
+
+    const format = (v) => JSON.stringify(v, null, 2);
+
+    ocfg.explainConfiguration(cfg, name, {profile: cli.profile}).then((result) => {
+      if ( !result.history.length ) {
+        console.log(name, 'is not set in any configuration file');
+      }
+
+      result.history.forEach((iter, idx) => {
+        console.log(colors.yellow(String(idx + 1) + '.'), iter.file);
+        console.log(format(iter.value));
+      });
+
+      console.log(colors.green('Final value:'));
+      console.log(format(result.value));
+      resolve();
+    }).catch(reject);
+  }),
+
+  'config:diff': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    const name = cli.option('name');
+    const format = (v) => JSON.stringify(v);
+
+    Promise.all([
+      readConfigurationSpec(cli, cli.option('from')),
+      readConfigurationSpec(cli, cli.option('to'))
+    ]).then(([a, b]) => {
+      const result = ocfg.diffConfiguration(
+        name ? ocfg.getConfiguration(a, name) : a,
+        name ? ocfg.getConfiguration(b, name) : b
+      );
+
+      const fullKey = (key) => [name, key].filter((k) => !!k).join('.');
+      result.added.forEach((iter) => (iter.value = ocfg.maskSecrets(b, fullKey(iter.key), iter.value)));
+      result.removed.forEach((iter) => (iter.value = ocfg.maskSecrets(a, fullKey(iter.key), iter.value)));
+      result.changed.forEach((iter) => {
+        iter.from = ocfg.maskSecrets(a, fullKey(iter.key), iter.from);
+        iter.to = ocfg.maskSecrets(b, fullKey(iter.key), iter.to);
+      });
+
+      if ( cli.option('json') ) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        const prefix = name ? name + '.' : '';
+        result.added.forEach((iter) => {
+          console.log(colors.green('+ ' + prefix + iter.key), '=', format(iter.value));
+        });
+        result.removed.forEach((iter) => {
+          console.log(colors.red('- ' + prefix + iter.key), '=', format(iter.value));
+        });
+        result.changed.forEach((iter) => {
+          console.log(colors.yellow('~ ' + prefix + iter.key), format(iter.from), '->', format(iter.to));
+        });
+
+        if ( !result.added.length && !result.removed.length && !result.changed.length ) {
+          console.log('No differences');
+        }
+      }
+
+      resolve();
+    }).catch(reject);
+  }),
+
+  'config:secret:set': (cli) => {
+    const name = cli.name;
+    return osecrets.setSecret(name, cli.value).then((file) => {
+      console.log('Stored', colors.green(name), 'in', file);
+    });
+  },
+
+  'config:secret:list': (cli) => {
+    osecrets.listSecrets().forEach((iter) => {
+      console.log(iter.name, colors.yellow('(' + iter.file + ')'));
+    });
+    return Promise.resolve();
+  },
+
+  'config:history': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    ocfg.getConfigurationHistory(cli.option('file')).then((list) => {
+      list.forEach((iter) => {
+        console.log(colors.yellow(iter.id), iter.time, iter.file, iter.backup ? '' : colors.blue('(created)'));
+      });
+      resolve();
+    }).catch(reject);
+  }),
+
+  'config:undo': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    ocfg.undoConfiguration(cli.option('file')).then((entry) => {
+      console.log('Reverted', entry.file, 'to the version before', entry.time);
+      resolve();
+    }).catch(reject);
+  }),
+
+  'config:migrate': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    const dryRun = cli.option('dry-run', false);
+    const format = (v) => JSON.stringify(v);
+
+    ocfg.migrateConfiguration(cfg, dryRun).then((result) => {
+      result.forEach((iter) => {
+        console.log(dryRun ? 'Would migrate' : 'Migrated', colors.green(iter.file), 'from version', iter.from, 'to', iter.to);
+        iter.diff.added.forEach((d) => console.log(colors.green('  + ' + d.key), '=', format(d.value)));
+        iter.diff.removed.forEach((d) => console.log(colors.red('  - ' + d.key), '=', format(d.value)));
+        iter.diff.changed.forEach((d) => console.log(colors.yellow('  ~ ' + d.key), format(d.from), '->', format(d.to)));
+      });
+
+      if ( !result.length ) {
+        console.log('Configuration is up to date');
+      }
+
+      resolve();
+    }).catch(reject);
+  }),
+
+  'config:dump': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    const out = cli.option('out');
+
+    ocfg.createConfigurationSnapshot({
+      profile: cli.profile,
+      resolved: cli.option('resolved', false)
+    }).then((result) => {
+      const data = JSON.stringify(result, null, 2);
+      if ( out ) {
+        const dest = path.resolve(ROOT, out);
+        return fs.writeFile(dest, data).then(() => {
+          console.log('Wrote', dest);
+          resolve();
+        });
+      }
+
+      console.log(data);
+      return resolve();
+    }).catch(reject);
+  }),
+
+  'config:validate': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    checkConfiguration(cli, cfg).then(() => {
+      console.log('Configuration is', colors.green('valid'));
+      resolve();
+    }).catch((err) => {
+      process.exitCode = 1;
+      reject(err);
+    });
+  }),
+
   'build:config': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
     console.info('Building', colors.blue('configuration'));
-    return Promise.all([
+    return checkConfiguration(cli, cfg).then(() => Promise.all([
       ocfg.buildClientConfiguration(cfg, cli),
       ocfg.buildServerConfiguration(cfg, cli)
-    ]);
+    ]));
   }),
 
   'build:themes': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
@@ -190,6 +508,26 @@ const tasks = {
     opkg.buildPackage(cfg, cli, ygor).then(resolve).catch(reject);
   }),
 
+  'dist:verify': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    odist.verifyDist(cfg, cli).then((problems) => {
+      problems.forEach((p) => console.error(colors.red('!'), p));
+
+      if ( problems.length ) {
+        process.exitCode = 1;
+        reject(new Error('Found ' + problems.length + ' problem(s) in dist'));
+      } else {
+        console.log('Distribution is valid');
+        resolve();
+      }
+    }).catch(reject);
+  }),
+
+  'cache:clear': () => {
+    return opkg.clearBuildCache().then(() => {
+      console.log('Cleared', colors.blue('package build cache'));
+    });
+  },
+
   'build:core': (cli, ygor) => {
     console.info('Building', colors.blue('core'));
 
@@ -200,10 +538,10 @@ const tasks = {
   'build': (cli, ygor) => {
     const tasks = [
       'build:config',
-      'build:manifest',
       'build:themes',
       'build:core',
-      'build:packages'
+      'build:packages',
+      'build:manifest'
     ];
 
     return promise.each(tasks, ygor.run);
@@ -274,11 +612,7 @@ const tasks = {
 
   'mocha': () => {
     return new Promise((resolve, reject) => {
-      const mocha = new Mocha({
-        bail: true,
-        reporter: 'spec',
-        timeout: 2000
-      });
+      const mocha = createMocha();
 
       glob('src/server/test/node/*.js').then((files) => {
         files.forEach(mocha.addFile.bind(mocha));
@@ -310,6 +644,20 @@ const tasks = {
     ], ygor.run);
   },
 
+  'test:packages': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    runPackageTests(cli, cfg).then(resolve).catch(reject);
+  }),
+
+  'test:package': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    const name = cli.option('name');
+    if ( !name ) {
+      reject('You need to give --name');
+      return;
+    }
+
+    runPackageTests(cli, cfg, (pkg, n) => n === name).then(resolve).catch(reject);
+  }),
+
   'run': () => {
     console.info('Starting', colors.blue('server'));
 
@@ -318,7 +666,243 @@ const tasks = {
     return ygor.shell(['node', '"' + exe + '"', args].join(' '));
   },
 
+  'mime:list': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    const mapping = cfg.mime.mapping || {};
+    Object.keys(mapping).sort().forEach((ext) => {
+      console.log(colors.green(ext), mapping[ext]);
+    });
+    resolve();
+  }),
+
+  'mime:add': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    ocfg.addMime(cfg, cli).then((ext) => {
+      console.log('Added MIME mapping', ext, '=', cli.option('type'));
+      resolve();
+    }).catch(reject);
+  }),
+
+  'mime:remove': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    ocfg.removeMime(cfg, cli).then(() => {
+      console.log('Removed MIME mapping', cli.option('ext'));
+      resolve();
+    }).catch(reject);
+  }),
+
+  'mime:check': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    ocfg.checkMimes(cfg, cli).then((problems) => {
+      problems.forEach((p) => console.error(colors.red('!'), p.message, colors.yellow('(' + p.source + ')')));
+
+      if ( problems.length ) {
+        process.exitCode = 1;
+        reject(new Error('Found ' + problems.length + ' MIME problem(s)'));
+      } else {
+        console.log('MIME mapping is valid');
+        resolve();
+      }
+    }).catch(reject);
+  }),
+
+  'i18n:report': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    oi18n.createReport(cfg, cli).then((report) => {
+      if ( cli.option('json') ) {
+        console.log(JSON.stringify(report, null, 2));
+        return resolve();
+      }
+
+      report.forEach((unit) => {
+        console.log(colors.blue(unit.name));
+        unit.languages.forEach((l) => {
+          const percentage = l.completion === 100 ? colors.green(l.completion + '%') : colors.yellow(l.completion + '%');
+          console.log('  ' + l.language, percentage, '(' + l.missing.length + ' missing, ' + l.unused.length + ' unused)');
+          l.missing.forEach((k) => console.log('    ' + colors.red('missing'), JSON.stringify(k)));
+          l.unused.forEach((k) => console.log('    ' + colors.yellow('unused'), JSON.stringify(k)));
+        });
+      });
+
+      return resolve();
+    }).catch(reject);
+  }),
+
+  'i18n:export': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    oi18n.exportTranslations(cfg, cli).then((data) => {
+      const out = cli.option('out');
+      if ( out ) {
+        fs.writeFileSync(path.resolve(ROOT, out), data);
+        console.log('Exported translations to', out);
+      } else {
+        console.log(data);
+      }
+      resolve();
+    }).catch(reject);
+  }),
+
+  'i18n:import': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    oi18n.importTranslations(cfg, cli).then((count) => {
+      console.log('Imported', count, 'string(s)');
+      resolve();
+    }).catch(reject);
+  }),
+
+  'package:list': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    const type = cli.option('type');
+    const repo = cli.option('repo');
+    const overlay = cli.option('overlay');
+    const enabled = cli.option('enabled');
+
+    opkg.getMetadata(cfg, cli, null, true).then((packages) => {
+      const list = Object.keys(packages).sort().map((k) => {
+        const state = opkg.getPackageState(cfg, packages[k]);
+        return {
+          name: k,
+          type: packages[k].type,
+          repo: packages[k].repo,
+          enabled: state.enabled,
+          forced: state.forced,
+          overlay: state.overlay
+        };
+      }).filter((iter) => {
+        if ( type && iter.type !== type ) {
+          return false;
+        } else if ( repo && iter.repo !== repo ) {
+          return false;
+        } else if ( overlay && path.resolve(ROOT, String(iter.overlay)) !== path.resolve(ROOT, overlay) ) {
+          return false;
+        } else if ( typeof enabled !== 'undefined' && String(iter.enabled) !== String(enabled) ) {
+          return false;
+        }
+        return true;
+      });
+
+      if ( cli.option('json') ) {
+        console.log(JSON.stringify(list, null, 2));
+      } else {
+        list.forEach((iter) => {
+          console.log(
+            iter.enabled ? colors.green(iter.name) : colors.red(iter.name),
+            colors.yellow(iter.type),
+            iter.forced ? colors.blue('(forcefully ' + iter.forced + ')') : '',
+            iter.overlay ? '[' + iter.overlay + ']' : ''
+          );
+        });
+      }
+
+      resolve();
+    }).catch(reject);
+  }),
+
+  'package:info': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    const name = cli.option('name');
+    if ( !name ) {
+      reject('You need to give --name');
+      return;
+    }
+
+    opkg.getMetadata(cfg, cli, (pkg, n) => n === name, true).then((packages) => {
+      const metadata = packages[name];
+      if ( !metadata ) {
+        return reject('Package not found');
+      }
+
+      const state = opkg.getPackageState(cfg, metadata);
+      return opkg.getPackageFiles(metadata).then((files) => {
+        console.log(colors.green(name));
+        console.log('Source:', metadata._src);
+        console.log('Overlay:', state.overlay || '-');
+        console.log('Enabled:', String(state.enabled) + (state.forced ? ' (forcefully ' + state.forced + ')' : ''));
+        console.log('Built files:', files.length ? '' : '-');
+        files.forEach((f) => console.log('  ' + f));
+        console.log('Metadata:');
+        console.log(JSON.stringify(metadata, null, 2));
+        resolve();
+      });
+    }).catch(reject);
+  }),
+
+  'package:enable': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    togglePackage(cli, cfg, true).then(resolve).catch(reject);
+  }),
+
+  'package:disable': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    togglePackage(cli, cfg, false).then(resolve).catch(reject);
+  }),
+
+  'package:pack': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    opkg.packPackage(cfg, cli).then((out) => {
+      console.log('Created', out);
+      resolve();
+    }).catch(reject);
+  }),
+
+  'package:install': (cli, ygor) => newTask(cli, (cli, cfg, resolve, reject) => {
+    opkg.installPackage(cfg, cli).then((name) => {
+      return ocfg.readConfigurationTree({profile: cli.profile}).then((newCfg) => {
+        return opkg.buildPackage(newCfg, cli, ygor, name).then(() => {
+          console.info('Building', colors.blue('manifest'));
+          return Promise.all([
+            opkg.buildClientManifest(newCfg, cli),
+            opkg.buildServerManifest(newCfg, cli)
+          ]);
+        });
+      });
+    }).then(resolve).catch(reject);
+  }),
+
+  'repo:list': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    orepos.listRepositories(cfg).forEach((iter) => {
+      console.log(
+        colors.green(iter.name),
+        colors.yellow(iter.type),
+        iter.git ? iter.git + ' @ ' + iter.ref : iter.source,
+        iter.synced ? '' : colors.red('(not synced)')
+      );
+    });
+    resolve();
+  }),
+
+  'repo:add': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    orepos.addRepository(cfg, cli).then(() => {
+      console.log('Added repository', cli.option('name'));
+      resolve();
+    }).catch(reject);
+  }),
+
+  'repo:remove': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    orepos.removeRepository(cfg, cli).then(() => {
+      console.log('Removed repository', cli.option('name'));
+      resolve();
+    }).catch(reject);
+  }),
+
+  'repo:sync': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    orepos.syncRepositories(cfg, cli).then(() => resolve()).catch(reject);
+  }),
+
+  'package:lint': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    opkg.lintPackages(cfg, cli).then((result) => {
+      const failed = result.filter((iter) => iter.errors.length);
+      failed.forEach((iter) => {
+        console.error(colors.red(iter.file));
+        iter.errors.forEach((err) => console.error('  ' + err));
+      });
+
+      if ( failed.length ) {
+        process.exitCode = 1;
+        reject(new Error(failed.length + ' package(s) has errors'));
+      } else {
+        console.log('Checked', result.length, 'package(s), no errors found');
+        resolve();
+      }
+    }).catch(reject);
+  }),
+
   'generate:package': (cli) => newTask(cli, (cli, cfg, resolve, reject) => {
+    if ( cli.option('list-types') ) {
+      opkg.listPackageTemplates(cfg).forEach((iter) => {
+        console.log(colors.green(iter.type), iter.path);
+      });
+      return resolve();
+    }
+
     return opkg.generatePackage(cfg, cli, ygor);
   }),
 
@@ -31,14 +31,26 @@
 const Promise = require('bluebird');
 const sjc = require('simplejsonconf');
 const path = require('path');
+const crypto = require('crypto');
 const glob = require('glob-promise');
 const fs = require('fs-extra');
+const Ajv = require('ajv');
+const colors = require('colors');
 
 const opkg = require('./packages.js');
 const othemes = require('./themes.js');
 const outils = require('./utils.js');
+const osecrets = require('./secrets.js');
+const omigrations = require('./migrations.js');
 
 const ROOT = process.env.OSJS_ROOT || path.dirname(process.argv[1]);
+const HISTORY_DIR = path.join(ROOT, '.osjs-history');
+const HISTORY_LENGTH = 10;
+const SECRET_KEYS = new WeakMap();
+const SECRET_MASK = '********';
+const migrationWarnings = [];
+
+let historyCounter = 0;
 
 ///////////////////////////////////////////////////////////////////////////////
 // HELPERS
@@ -59,6 +71,171 @@ const makedict = (list, fn) => {
   return result;
 };
 
+/**
+ * Looks up a key path in a JSON object
+ * @param {Object} json The JSON object
+ * @param {String[]} keyPath The key path
+ * @return {Object} An object with {found, value}
+ */
+const findKeyPath = (json, keyPath) => {
+  let ns = json;
+  const found = keyPath.every((k) => {
+    if ( ns !== null && typeof ns === 'object' && ns.hasOwnProperty(k) ) {
+      ns = ns[k];
+      return true;
+    }
+    return false;
+  });
+
+  return {found, value: found ? ns : undefined};
+};
+
+/**
+ * Gets the last configuration file that sets given key
+ *
+ * @param {Object[]} files Files from readConfigurationFiles()
+ * @param {String[]} keyPath The key path
+ * @return {String} The filename (relative to root), or null if not found
+ */
+const getConfigurationSource = (files, keyPath) => {
+  const found = files.slice().reverse().find((iter) => {
+    return findKeyPath(iter.json, keyPath).found;
+  });
+
+  return found ? path.relative(ROOT, found.file) : null;
+};
+
+/**
+ * Gets the selected configuration profile
+ * @param {Object} [options] Options
+ * @return {String}
+ */
+const getProfile = (options) => (options || {}).profile || process.env.OSJS_PROFILE || null;
+
+/**
+ * Checks if a configuration file is maintained by the user (and migrated)
+ *
+ * These are custom files (src/conf/9xx-*.json), profiles and overlay files.
+ *
+ * @param {Object} iter An entry from readConfigurationFiles()
+ * @return {Boolean}
+ */
+const isUserConfigurationFile = (iter) => {
+  const dir = path.dirname(iter.file);
+  return !!iter.overlay ||
+    path.basename(path.dirname(dir)) === 'env' ||
+    (dir === path.join(ROOT, 'src', 'conf') && path.basename(iter.file).charAt(0) === '9');
+};
+
+/**
+ * Warns about configuration files that needs to be migrated
+ * @param {Object[]} files Files from readConfigurationFiles()
+ */
+const checkConfigurationVersions = (files) => {
+  files.filter(isUserConfigurationFile).forEach((iter) => {
+    const version = omigrations.getVersion(iter.raw);
+    const file = path.relative(ROOT, iter.file);
+
+    if ( version < omigrations.CURRENT_VERSION && migrationWarnings.indexOf(file) === -1 ) {
+      migrationWarnings.push(file);
+      console.warn(colors.yellow('Warning:'), file, 'uses configuration format version', version,
+        '(current is ' + omigrations.CURRENT_VERSION + '), run config:migrate');
+    }
+  });
+};
+
+/**
+ * Checks if given overlay is excluded by the options
+ * @param {Object} [options] Options
+ * @param {String} overlay Overlay path
+ * @return {Boolean}
+ */
+const isExcludedOverlay = (options, overlay) => {
+  return ((options || {}).excludeOverlays || []).some((f) => {
+    return path.resolve(ROOT, f) === path.resolve(ROOT, overlay);
+  });
+};
+
+/**
+ * Checks if a configuration entry is, or contains, an entry resolved from a secret
+ * @param {Object} cfg Configuration tree
+ * @param {String} [query] The key (or the whole tree)
+ * @return {Boolean}
+ */
+const containsSecrets = (cfg, query) => {
+  return (SECRET_KEYS.get(cfg) || []).some((k) => {
+    return !query || k === query || k.indexOf(query + '.') === 0 || query.indexOf(k + '.') === 0;
+  });
+};
+
+/**
+ * Reads the configuration history journal
+ * @param {String} [file] Only for this file
+ * @return {Object[]}
+ */
+const readHistory = (file) => {
+  const journal = path.join(HISTORY_DIR, 'journal.json');
+  const filename = file ? path.relative(ROOT, path.resolve(ROOT, file)) : null;
+  const list = fs.existsSync(journal) ? fs.readJsonSync(journal) : [];
+
+  return list.filter((iter) => !filename || iter.file === filename);
+};
+
+/**
+ * Writes a file by using a temporary file and a rename
+ * @param {String} filename The filename
+ * @param {String} data The data
+ */
+const writeFileAtomic = (filename, data) => {
+  const tmpFile = filename + '.' + process.pid + '.tmp';
+
+  try {
+    fs.writeFileSync(tmpFile, data);
+    fs.renameSync(tmpFile, filename);
+  } catch ( e ) {
+    fs.removeSync(tmpFile);
+    throw e;
+  }
+};
+
+/**
+ * Writes a configuration file and keeps the previous version in the history
+ * @param {String} cfgPath The configuration file
+ * @param {Object} json The new contents
+ */
+const writeConfigFile = (cfgPath, json) => {
+  fs.ensureDirSync(HISTORY_DIR);
+
+  const file = path.relative(ROOT, cfgPath);
+  const id = Date.now().toString(36) + process.pid.toString(36) + (historyCounter++).toString(36);
+
+  let backup = null;
+  if ( fs.existsSync(cfgPath) ) {
+    backup = id + '.json';
+    fs.copySync(cfgPath, path.join(HISTORY_DIR, backup));
+  }
+
+  let journal = readHistory().concat([{
+    id: id,
+    time: new Date().toISOString(),
+    file: file,
+    backup: backup
+  }]);
+
+  // Only keep the latest entries of each file
+  const entries = journal.filter((iter) => iter.file === file);
+  const expired = entries.slice(0, Math.max(0, entries.length - HISTORY_LENGTH));
+  expired.forEach((iter) => {
+    if ( iter.backup ) {
+      fs.removeSync(path.join(HISTORY_DIR, iter.backup));
+    }
+  });
+  journal = journal.filter((iter) => expired.indexOf(iter) === -1);
+
+  writeFileAtomic(cfgPath, JSON.stringify(json, null, 2));
+  writeFileAtomic(path.join(HISTORY_DIR, 'journal.json'), JSON.stringify(journal, null, 2));
+};
+
 function setConfigPath(key, value, isTree, outputFile, guess) {
   let cfgPath = path.join(ROOT, 'src', 'conf', '900-custom.json');
   if ( outputFile ) {
@@ -67,20 +244,19 @@ function setConfigPath(key, value, isTree, outputFile, guess) {
   }
 
   let conf = {};
-  try {
+  if ( fs.existsSync(cfgPath) ) {
     conf = fs.readJsonSync(cfgPath);
-  } catch ( e ) {}
+  }
 
-  try {
-    const result = sjc.setJSON(conf, isTree ? null : key, value, {
-      prune: true,
-      guess: typeof guess === 'undefined' || guess === true
-    });
+  // The new entries are in the current format, so the file is migrated along
+  conf = omigrations.migrate(conf);
 
-    fs.writeFileSync(cfgPath, JSON.stringify(result, null, 2));
-  } catch ( e ) {
-    console.error(e.stack, e);
-  }
+  const result = sjc.setJSON(conf, isTree ? null : key, value, {
+    prune: true,
+    guess: typeof guess === 'undefined' || guess === true
+  });
+
+  writeConfigFile(cfgPath, result);
 
   return value;
 }
@@ -126,14 +302,14 @@ const setConfiguration = (key, value, importFile, outputFile, guess) => {
   if ( importFile ) {
     const importJson = fs.readJsonSync(importFile);
     const importTree = key.length ? getNewTree(key, importJson) : importJson;
-    return Promise.resolve(setConfigPath(null, importTree, true));
+    return Promise.try(() => setConfigPath(null, importTree, true));
   }
 
   if ( typeof value === 'undefined' ) {
     return Promise.reject('No value given');
   }
 
-  return Promise.resolve(setConfigPath(key, value, false, outputFile, guess));
+  return Promise.try(() => setConfigPath(key, value, false, outputFile, guess));
 };
 
 /**
@@ -156,6 +332,10 @@ const getConfiguration = (config, query, defaultValue) => sjc.getJSON(config, qu
  * @return {Object}
  */
 const addConfiguration = (config, query, key, value) => new Promise((resolve, reject) => {
+  if ( containsSecrets(config, query) ) {
+    return reject(new Error('Refusing to write ' + query + ', it contains secrets'));
+  }
+
   let result;
   try {
     result = getConfiguration(config, query);
@@ -192,6 +372,10 @@ const addConfiguration = (config, query, key, value) => new Promise((resolve, re
  * @return {Object}
  */
 const removeConfiguration = (config, query, key, value) => new Promise((resolve, reject) => {
+  if ( containsSecrets(config, query) ) {
+    return reject(new Error('Refusing to write ' + query + ', it contains secrets'));
+  }
+
   let result;
   try {
     result = getConfiguration(config, query);
@@ -226,6 +410,8 @@ const removeConfiguration = (config, query, key, value) => new Promise((resolve,
 const createConfiguration = (config, key, out) => new Promise((resolve, reject) => {
   if ( !out || !fs.existsSync(path.dirname(out)) ) {
     return reject(new Error('Invalid output file'));
+  } else if ( containsSecrets(config, key) ) {
+    return reject(new Error('Refusing to write ' + (key || 'the configuration') + ', it contains secrets'));
   }
 
   const value = key ? getConfiguration(config, key, {}) : {};
@@ -238,65 +424,245 @@ const createConfiguration = (config, key, out) => new Promise((resolve, reject)
 
 /**
  * Resolves variables inside the configuration tree
+ *
+ * Entries can reference environment variables (upper-case names) or other
+ * configuration entries with "%name%", and give a default value with
+ * "%name:-default%". References are resolved recursively, and an entry
+ * that only consists of a reference gets the type of whatever it refers to.
+ *
+ * Secrets from the local secrets provider are referenced with "%secret:NAME%".
+ * The keys that got a secret (directly or through other entries) are
+ * recorded, see getSecretKeys().
+ *
  * @param {Object} object The temporary configuration tree
- * @param {String} [overlay] The overlay name
+ * @param {String} [overlay] The overlay name (only resolves %ROOT% and %OVERLAY%)
+ * @param {Object[]} [files] Files from readConfigurationFiles() used in error messages
+ * @throws {Error} On unresolved or circular references
  * @return {Object}
  */
-const resolveConfigurationVariables = (object, overlay) => {
+const resolveConfigurationVariables = (object, overlay, files) => {
+  const root = outils.fixWinPath(ROOT, true);
+
+  if ( overlay ) {
+    const ol = outils.fixWinPath(overlay, true);
+    return JSON.parse(JSON.stringify(object), (k, v) => {
+      return typeof v === 'string' ? v.replace(/%ROOT%/g, root).replace(/%OVERLAY%/g, ol) : v;
+    });
+  }
+
   const safeWords = [
-    '%VERSION%',
-    '%DIST%',
-    '%DROOT%',
-    '%UID%',
-    '%USERNAME%'
+    'VERSION',
+    'DIST',
+    'DROOT',
+    'UID',
+    'USERNAME'
   ];
 
-  // Resolves all "%something%" config entries
-  let tmpFile = JSON.stringify(object);
-  tmpFile = tmpFile.replace(/%ROOT%/g, outils.fixWinPath(ROOT, true));
-  if ( overlay ) {
-    tmpFile = tmpFile.replace(/%OVERLAY%/g, outils.fixWinPath(overlay, true));
+  const errors = [];
+  const cache = {};
+  const secretKeys = [];
+  const reWhole = /^%((?:secret:)?[A-z0-9_\-\.]+)(?::-([^%]*))?%$/;
+  const reAll = /%((?:secret:)?[A-z0-9_\-\.]+)(?::-([^%]*))?%/g;
+
+  const describe = (key) => {
+    const source = files ? getConfigurationSource(files, key.split('.')) : null;
+    return key + (source ? ' (' + source + ')' : '');
+  };
+
+  const coerce = (v) => {
+    if ( v.match(/^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?)$/) ) {
+      return JSON.parse(v);
+    }
+    return v;
+  };
+
+  const taint = (key) => {
+    if ( secretKeys.indexOf(key) === -1 ) {
+      secretKeys.push(key);
+    }
+  };
+
+  const isTainted = (name) => secretKeys.some((k) => k === name || k.indexOf(name + '.') === 0);
+
+  const addError = (msg) => {
+    if ( errors.indexOf(msg) === -1 ) {
+      errors.push(msg);
+    }
+  };
+
+  let resolveValue;
+
+  const resolveReference = (token, name, def, key, stack, typed) => {
+    if ( name.match(/^secret:/) ) {
+      try {
+        const secret = osecrets.getSecret(name.substr(7));
+        if ( typeof secret !== 'undefined' ) {
+          taint(key);
+          return secret;
+        }
+      } catch ( e ) {
+        addError(e.message + ' in ' + describe(key));
+        return token;
+      }
+    } else if ( name.match(/^[A-Z][A-Z0-9_]*$/) && typeof process.env[name] !== 'undefined' ) {
+      return typed ? coerce(process.env[name]) : process.env[name];
+    }
+
+    const found = findKeyPath(object, name.split('.'));
+    if ( found.found ) {
+      const value = resolveValue(found.value, name, stack);
+      if ( isTainted(name) ) {
+        taint(key);
+      }
+      return value;
+    }
+
+    if ( typeof def !== 'undefined' ) {
+      return typed ? coerce(def) : def;
+    }
+
+    addError('Unresolved reference ' + token + ' in ' + describe(key));
+    return token;
+  };
+
+  const resolveString = (str, key, stack) => {
+    if ( stack.indexOf(key) !== -1 ) {
+      addError('Circular reference: ' + stack.slice(stack.indexOf(key)).concat([key]).join(' -> '));
+      return str;
+    }
+
+    if ( cache.hasOwnProperty(key) ) {
+      return cache[key];
+    }
+
+    const s = stack.concat([key]);
+    const tmp = str.replace(/%ROOT%/g, root);
+    const whole = tmp.match(reWhole);
+
+    let result;
+    if ( whole && safeWords.indexOf(whole[1]) === -1 ) {
+      result = resolveReference(whole[0], whole[1], whole[2], key, s, true);
+    } else {
+      result = tmp.replace(reAll, (token, name, def) => {
+        if ( safeWords.indexOf(name) !== -1 ) {
+          return token;
+        }
+
+        const value = resolveReference(token, name, def, key, s, false);
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+      });
+    }
+
+    return (cache[key] = result);
+  };
+
+  resolveValue = (value, key, stack) => {
+    const prefix = key ? key + '.' : '';
+
+    if ( typeof value === 'string' ) {
+      return resolveString(value, key, stack);
+    } else if ( value instanceof Array ) {
+      return value.map((v, i) => resolveValue(v, prefix + i, stack));
+    } else if ( value !== null && typeof value === 'object' ) {
+      const result = {};
+      Object.keys(value).forEach((k) => {
+        result[k] = resolveValue(value[k], prefix + k, stack);
+      });
+      return result;
+    }
+
+    return value;
+  };
+
+  const result = resolveValue(object, '', []);
+  if ( errors.length ) {
+    throw new Error('Failed to resolve configuration:\n  ' + errors.join('\n  '));
   }
 
-  const words = (tmpFile.match(/%([A-z0-9_\-\.]+)%/g) || []).filter((() => {
-    let seen = {};
-    return function(element, index, array) {
-      return !(element in seen) && (seen[element] = 1);
-    };
-  })());
+  SECRET_KEYS.set(result, secretKeys);
 
-  const tmpConfig = JSON.parse(tmpFile);
-  words.forEach((w) => {
-    const p = w.replace(/%/g, '');
-    const u = /^[A-Z]*$/.test(p);
-    if ( safeWords.indexOf(w) === -1 ) {
-      const value = (u ? process.env[p] : null) || getConfiguration(tmpConfig, p);
-      const re = w.replace(/([.*+?^=!:${}()|\[\]\/\\])/g, '$1');
-      tmpFile = tmpFile.replace(new RegExp(re, 'g'), String(value));
+  return result;
+};
+
+/**
+ * Gets the keys in a resolved tree that contains secrets
+ * @param {Object} cfg Configuration tree
+ * @return {String[]}
+ */
+const getSecretKeys = (cfg) => SECRET_KEYS.get(cfg) || [];
+
+/**
+ * Masks the entries that contains secrets in a value from a resolved tree
+ * @param {Object} cfg Configuration tree
+ * @param {String} key The key of the value (empty for the whole tree)
+ * @param {Mixed} value The value
+ * @return {Mixed}
+ */
+const maskSecrets = (cfg, key, value) => {
+  const prefix = key ? key + '.' : '';
+  const keys = getSecretKeys(cfg);
+
+  if ( keys.some((k) => k === key || prefix.indexOf(k + '.') === 0) ) {
+    return SECRET_MASK;
+  }
+
+  const nested = keys.filter((k) => k.indexOf(prefix) === 0);
+  if ( !nested.length ) {
+    return value;
+  }
+
+  const result = JSON.parse(JSON.stringify(value));
+  nested.forEach((k) => {
+    const keyPath = k.substr(prefix.length).split('.');
+    const last = keyPath.pop();
+    const parent = findKeyPath(result, keyPath);
+    if ( parent.found && parent.value !== null && typeof parent.value === 'object' && parent.value.hasOwnProperty(last) ) {
+      parent.value[last] = SECRET_MASK;
     }
   });
 
-  return JSON.parse(tmpFile);
+  return result;
 };
 
 /**
- * Reads the configuration tree
+ * Reads all configuration files in the order they are merged
  *
- * @return {Promise}
+ * Overlay files gets their %ROOT% and %OVERLAY% variables resolved
+ * right away, everything else is left for the final tree.
+ *
+ * If a profile is selected, 'src/conf/env/<name>' and
+ * '<overlay>/conf/env/<name>' are layered on top of the base tree.
+ *
+ * @param {Object} [options] Options
+ * @param {String} [options.profile] Configuration profile (defaults to OSJS_PROFILE)
+ * @param {String[]} [options.excludeOverlays] Leave out these overlays
+ * @return {Promise} Resolves with an array of {file, overlay, raw, json}
  */
-const readConfigurationTree = () => new Promise((resolve, reject) => {
-  let object = {};
+const readConfigurationFiles = (options) => new Promise((resolve, reject) => {
+  options = options || {};
+
+  const profile = getProfile(options);
+  if ( profile && !/^[\w\-][\w\-\.]*$/.test(profile) ) {
+    reject(new Error('Invalid profile name: ' + profile));
+    return;
+  }
+
+  let result = [];
 
   const _read = (p, r) => {
     return new Promise((yes, no) => {
       glob(p + '/*.json').then((files) => {
         files.forEach((file) => {
           try {
-            let json = fs.readJsonSync(file);
-            if ( r ) {
-              json = resolveConfigurationVariables(json, r);
-            }
-            object = outils.mergeObject(object, json);
+            const raw = fs.readJsonSync(file);
+            const json = r ? resolveConfigurationVariables(raw, r) : raw;
+
+            result.push({
+              file: file,
+              overlay: r || null,
+              raw: raw,
+              json: json
+            });
           } catch ( e ) {
             console.warn('Failed parsing', path.basename(file), e);
           }
@@ -309,17 +675,347 @@ const readConfigurationTree = () => new Promise((resolve, reject) => {
 
   const basePath = path.join(ROOT, 'src', 'conf');
   _read(basePath).then(() => {
-    const overlays = object.overlays || [];
+    const overlays = result.reduce((o, iter) => {
+      return iter.json.overlays instanceof Array ? iter.json.overlays : o;
+    }, []).filter((f) => !isExcludedOverlay(options, f));
+
     const paths = overlays.map((f) => {
-      return path.resolve(ROOT, f, 'conf');
-    }).filter((f) => fs.existsSync(f));
-
-    Promise.each(paths, (iter) => {
-      return _read(iter, path.dirname(iter));
-    }).then(() => {
-      const finalConfiguration = Object.freeze(resolveConfigurationVariables(object));
-      resolve(finalConfiguration);
-    }).catch(reject);
+      return [path.resolve(ROOT, f, 'conf'), path.resolve(ROOT, f)];
+    });
+
+    if ( profile ) {
+      const profilePaths = [
+        [path.join(basePath, 'env', profile), null]
+      ].concat(overlays.map((f) => {
+        return [path.resolve(ROOT, f, 'conf', 'env', profile), path.resolve(ROOT, f)];
+      })).filter((iter) => fs.existsSync(iter[0]));
+
+      if ( !profilePaths.length ) {
+        console.warn('No configuration found for profile', profile);
+      }
+
+      paths.push(...profilePaths);
+    }
+
+    Promise.each(paths.filter((iter) => fs.existsSync(iter[0])), (iter) => {
+      return _read(iter[0], iter[1]);
+    }).then(() => resolve(result)).catch(reject);
+  }).catch(reject);
+});
+
+/**
+ * Merges a list of configuration files into one tree
+ * @param {Object[]} files Files from readConfigurationFiles()
+ * @return {Object}
+ */
+const mergeConfigurationFiles = (files) => {
+  return files.reduce((object, iter) => {
+    return outils.mergeObject(object, JSON.parse(JSON.stringify(iter.json)));
+  }, {});
+};
+
+/**
+ * Reads the configuration tree
+ *
+ * @param {Object} [options] Options
+ * @param {String} [options.profile] Configuration profile (defaults to OSJS_PROFILE)
+ * @param {String[]} [options.excludeOverlays] Leave out these overlays
+ * @return {Promise}
+ */
+const readConfigurationTree = (options) => new Promise((resolve, reject) => {
+  readConfigurationFiles(options).then((files) => {
+    checkConfigurationVersions(files);
+
+    const object = mergeConfigurationFiles(files);
+    if ( object.overlays instanceof Array ) {
+      object.overlays = object.overlays.filter((f) => !isExcludedOverlay(options, f));
+    }
+    const finalConfiguration = Object.freeze(resolveConfigurationVariables(object, null, files));
+    resolve(finalConfiguration);
+  }).catch(reject);
+});
+
+/**
+ * Creates a configuration snapshot
+ *
+ * The snapshot contains the merged tree and a checksum of every
+ * configuration file that was used to create it.
+ *
+ * @param {Object} [options] Options passed on to readConfigurationFiles()
+ * @param {Boolean} [options.resolved=false] Resolve variables
+ * @return {Promise}
+ */
+const createConfigurationSnapshot = (options) => new Promise((resolve, reject) => {
+  options = options || {};
+
+  readConfigurationFiles(options).then((files) => {
+    const object = mergeConfigurationFiles(files);
+    const tree = options.resolved ? resolveConfigurationVariables(object, null, files) : object;
+    const secrets = getSecretKeys(tree);
+
+    resolve({
+      snapshot: {
+        created: new Date().toISOString(),
+        profile: getProfile(options),
+        resolved: options.resolved === true,
+        secrets: secrets,
+        files: files.map((iter) => {
+          return {
+            file: path.relative(ROOT, iter.file),
+            sha1: crypto.createHash('sha1').update(fs.readFileSync(iter.file)).digest('hex')
+          };
+        })
+      },
+      configuration: tree
+    });
+  }).catch(reject);
+});
+
+/**
+ * Reads the configuration tree from a resolved snapshot
+ *
+ * @param {String} filename Snapshot file
+ * @return {Promise}
+ */
+const readConfigurationSnapshot = (filename) => new Promise((resolve, reject) => {
+  fs.readJson(path.resolve(ROOT, filename)).then((json) => {
+    if ( !json.snapshot || !json.configuration ) {
+      reject(new Error(filename + ' is not a configuration snapshot'));
+    } else if ( !json.snapshot.resolved ) {
+      reject(new Error(filename + ' is not a resolved configuration snapshot'));
+    } else {
+      SECRET_KEYS.set(json.configuration, json.snapshot.secrets || []);
+      resolve(Object.freeze(json.configuration));
+    }
+  }).catch(reject);
+});
+
+/**
+ * Reads the configuration schema
+ *
+ * Starts with the schema shipped with the build system and merges in
+ * the ones found in 'src/conf/schema' and overlay 'conf/schema' directories.
+ *
+ * @param {Object} cfg Configuration tree
+ * @return {Promise}
+ */
+const readConfigurationSchema = (cfg) => new Promise((resolve, reject) => {
+  const paths = [
+    path.join(ROOT, 'src', 'conf', 'schema')
+  ].concat((cfg.overlays || []).map((f) => {
+    return path.resolve(ROOT, f, 'conf', 'schema');
+  })).filter((f) => fs.existsSync(f));
+
+  let schema = fs.readJsonSync(path.join(__dirname, 'schemas', 'configuration.json'));
+
+  Promise.each(paths, (p) => {
+    return glob(p + '/*.json').then((files) => {
+      files.forEach((file) => {
+        schema = outils.mergeObject(schema, fs.readJsonSync(file));
+      });
+    });
+  }).then(() => resolve(schema)).catch(reject);
+});
+
+/**
+ * Validates the configuration tree against the schema
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} [options] Options passed on to readConfigurationFiles()
+ * @return {Promise} Resolves with an array of {key, message, source}
+ */
+const validateConfiguration = (cfg, options) => new Promise((resolve, reject) => {
+  Promise.all([
+    readConfigurationSchema(cfg),
+    readConfigurationFiles(options)
+  ]).then(([schema, files]) => {
+    const ajv = new Ajv({allErrors: true, jsonPointers: true});
+    const validate = ajv.compile(schema);
+
+    if ( validate(cfg) ) {
+      resolve([]);
+      return;
+    }
+
+    resolve(validate.errors.map((err) => {
+      const keyPath = err.dataPath.split('/').slice(1).map((k) => {
+        return k.replace(/~1/g, '/').replace(/~0/g, '~');
+      });
+
+      if ( err.keyword === 'additionalProperties' ) {
+        keyPath.push(err.params.additionalProperty);
+      } else if ( err.keyword === 'required' ) {
+        keyPath.push(err.params.missingProperty);
+      }
+
+      // Every file matches the root, so that is never used as a source
+      let source = null;
+      for ( let i = keyPath.length; i > 0 && !source; i-- ) {
+        source = getConfigurationSource(files, keyPath.slice(0, i));
+      }
+
+      return {
+        key: keyPath.join('.'),
+        message: err.message,
+        source: source
+      };
+    }));
+  }).catch(reject);
+});
+
+/**
+ * Explains where a configuration entry comes from
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {String} key The key
+ * @param {Object} [options] Options passed on to readConfigurationFiles()
+ * @return {Promise} Resolves with {key, history, value}
+ */
+const explainConfiguration = (cfg, key, options) => new Promise((resolve, reject) => {
+  const keyPath = key.split('.');
+
+  readConfigurationFiles(options).then((files) => {
+    const history = files.map((iter) => {
+      const result = findKeyPath(iter.raw, keyPath);
+      return result.found ? {
+        file: path.relative(ROOT, iter.file),
+        value: result.value
+      } : null;
+    }).filter((iter) => !!iter);
+
+    resolve({
+      key: key,
+      history: history,
+      value: findKeyPath(cfg, keyPath).value
+    });
+  }).catch(reject);
+});
+
+/**
+ * Makes a diff of two configuration trees
+ *
+ * @param {Object} a The old tree
+ * @param {Object} b The new tree
+ * @return {Object} An object with {added, removed, changed}
+ */
+const diffConfiguration = (a, b) => {
+  const result = {
+    added: [],
+    removed: [],
+    changed: []
+  };
+
+  const isObject = (o) => o !== null && typeof o === 'object' && !(o instanceof Array);
+
+  const walk = (from, to, keyPath) => {
+    const keys = Object.keys(from).concat(Object.keys(to).filter((k) => {
+      return !from.hasOwnProperty(k);
+    }));
+
+    keys.forEach((k) => {
+      const key = keyPath.concat([k]).join('.');
+
+      if ( !from.hasOwnProperty(k) ) {
+        result.added.push({key, value: to[k]});
+      } else if ( !to.hasOwnProperty(k) ) {
+        result.removed.push({key, value: from[k]});
+      } else if ( isObject(from[k]) && isObject(to[k]) ) {
+        walk(from[k], to[k], keyPath.concat([k]));
+      } else if ( JSON.stringify(from[k]) !== JSON.stringify(to[k]) ) {
+        result.changed.push({key, from: from[k], to: to[k]});
+      }
+    });
+  };
+
+  if ( isObject(a) && isObject(b) ) {
+    walk(a, b, []);
+  } else if ( JSON.stringify(a) !== JSON.stringify(b) ) {
+    result.changed.push({key: '', from: a, to: b});
+  }
+
+  return result;
+};
+
+/**
+ * Gets the configuration change history
+ *
+ * @param {String} [file] Only for this file
+ * @return {Promise} Resolves with an array of {id, time, file} (newest first)
+ */
+const getConfigurationHistory = (file) => Promise.try(() => readHistory(file).reverse());
+
+/**
+ * Reverts the latest configuration change
+ *
+ * @param {String} [file] Only for this file
+ * @return {Promise} Resolves with the reverted history entry
+ */
+const undoConfiguration = (file) => Promise.try(() => {
+  const entry = readHistory(file).pop();
+  if ( !entry ) {
+    throw new Error('Nothing to undo');
+  }
+
+  const cfgPath = path.resolve(ROOT, entry.file);
+  const backupPath = entry.backup ? path.join(HISTORY_DIR, entry.backup) : null;
+
+  if ( backupPath ) {
+    writeFileAtomic(cfgPath, fs.readFileSync(backupPath));
+    fs.removeSync(backupPath);
+  } else {
+    fs.removeSync(cfgPath);
+  }
+
+  const journal = readHistory().filter((iter) => iter.id !== entry.id);
+  writeFileAtomic(path.join(HISTORY_DIR, 'journal.json'), JSON.stringify(journal, null, 2));
+
+  return entry;
+});
+
+/**
+ * Migrates configuration files to the current format version
+ *
+ * Custom files (src/conf/9xx-*.json), configuration profiles and overlay
+ * configuration files are rewritten in place.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Boolean} [dryRun=false] Do not write anything
+ * @return {Promise} Resolves with an array of {file, from, to, diff}
+ */
+const migrateConfiguration = (cfg, dryRun) => new Promise((resolve, reject) => {
+  const patterns = [
+    path.join(ROOT, 'src', 'conf', '9*.json'),
+    path.join(ROOT, 'src', 'conf', 'env', '*', '*.json')
+  ].concat((cfg.overlays || []).reduce((list, f) => {
+    return list.concat([
+      path.resolve(ROOT, f, 'conf', '*.json'),
+      path.resolve(ROOT, f, 'conf', 'env', '*', '*.json')
+    ]);
+  }, []));
+
+  Promise.all(patterns.map((p) => glob(p))).then((found) => {
+    const files = found.reduce((list, f) => list.concat(f), []);
+    const result = files.map((file) => {
+      const tree = fs.readJsonSync(file);
+      const version = omigrations.getVersion(tree);
+      if ( version >= omigrations.CURRENT_VERSION ) {
+        return null;
+      }
+
+      const migrated = omigrations.migrate(tree);
+      if ( !dryRun ) {
+        writeConfigFile(file, migrated);
+      }
+
+      return {
+        file: path.relative(ROOT, file),
+        from: version,
+        to: omigrations.CURRENT_VERSION,
+        diff: diffConfiguration(tree, migrated)
+      };
+    }).filter((iter) => !!iter);
+
+    resolve(result);
   }).catch(reject);
 });
 
@@ -366,6 +1062,12 @@ const buildClientConfiguration = (cfg, cli) => new Promise((resolve, reject) =>
       settings.MIME = cfg.mime;
       settings.Preloads = preloads;
 
+      const leaks = getSecretKeys(cfg).filter((k) => k === 'client' || k.indexOf('client.') === 0);
+      if ( leaks.length ) {
+        reject(new Error('Secrets found in client configuration: ' + leaks.join(', ')));
+        return;
+      }
+
       const src = path.join(ROOT, 'src', 'templates', 'dist', 'settings.js');
       const tpl = fs.readFileSync(src).toString();
       const dest = path.join(ROOT, 'dist', 'settings.js');
@@ -419,6 +1121,63 @@ const buildServerConfiguration = (cfg, cli) => new Promise((resolve, reject) =>
   }).catch(reject);
 });
 
+/**
+ * Gets all known VFS transports
+ *
+ * @param {Object} cfg Configuration tree
+ * @return {Promise}
+ */
+const getTransports = (cfg) => new Promise((resolve, reject) => {
+  const builtin = ['osjs', 'dist', 'applications', 'webdav', 'dropbox', 'google-drive', 'onedrive', 'web'];
+  const paths = [
+    path.join(ROOT, 'src', 'client', 'javascript', 'vfs', 'transports')
+  ].concat((cfg.overlays || []).map((f) => {
+    return path.resolve(ROOT, f, 'client', 'javascript', 'vfs', 'transports');
+  }));
+
+  Promise.all(paths.map((p) => glob(p + '/*.js'))).then((found) => {
+    const names = found.reduce((list, files) => {
+      return list.concat(files.map((f) => path.basename(f, '.js')));
+    }, []);
+
+    resolve(builtin.concat(names.filter((n) => builtin.indexOf(n) === -1)));
+  }).catch(reject);
+});
+
+/**
+ * Gets all mountpoints with both client and server sides
+ *
+ * @param {Object} cfg Configuration tree
+ * @return {Object[]} An array of {name, client, server, problems}
+ */
+const getMountpoints = (cfg) => {
+  const clientMounts = getConfiguration(cfg, 'client.VFS.Mountpoints', {}) || {};
+  const serverMounts = getConfiguration(cfg, 'server.vfs.mounts', {}) || {};
+  const names = Object.keys(clientMounts).concat(Object.keys(serverMounts).filter((k) => {
+    return !clientMounts.hasOwnProperty(k);
+  }));
+
+  return names.map((name) => {
+    const client = clientMounts[name] || null;
+    const server = typeof serverMounts[name] === 'string' ? {
+      destination: serverMounts[name]
+    } : (serverMounts[name] || null);
+
+    const problems = [];
+    if ( !client ) {
+      problems.push('No client mountpoint');
+    } else if ( !server && client.transport === 'osjs' ) {
+      problems.push('No server mount for the osjs transport');
+    }
+
+    if ( client && server && typeof server.ro !== 'undefined' && !!server.ro !== !!client.readOnly ) {
+      problems.push('Read-only state differs between client and server');
+    }
+
+    return {name, client, server, problems};
+  });
+};
+
 /**
  * Adds a mountpoint
  *
@@ -451,20 +1210,258 @@ const addMountpoint = (cfg, cli) => new Promise((resolve, reject) => {
     return reject('Missing option(s)');
   }
 
-  template.client.VFS.Mountpoints[name] = {
-    enabled: true,
-    title: title,
-    description: desc,
-    transport: transport,
-    readOnly: ro
-  };
+  if ( getMountpoints(cfg).find((iter) => iter.name === name) ) {
+    return reject(new Error('Mountpoint ' + name + ' already exists'));
+  }
 
-  template.server.vfs.mounts[name] = {
-    destination: dest,
-    ro: ro
-  };
+  // Server-side variables are resolved when the mountpoint is used
+  const serverWords = ['UID', 'USERNAME', 'DROOT', 'DIST', 'VERSION', 'ROOT'];
+  const unresolved = (String(dest).match(/%[^%]+%/g) || []).filter((w) => {
+    const p = w.replace(/%/g, '');
+    if ( serverWords.indexOf(p) !== -1 || (p.match(/^[A-Z][A-Z0-9_]*$/) && process.env[p]) ) {
+      return false;
+    }
+    return !findKeyPath(cfg, p.split('.')).found;
+  });
+
+  if ( unresolved.length ) {
+    return reject(new Error('Unresolvable variable(s) in path: ' + unresolved.join(', ')));
+  }
 
-  return resolve(setConfigPath(null, template, true));
+  if ( String(dest).split(/[\/\\]/).indexOf('..') !== -1 ) {
+    return reject(new Error('Path can not contain ".."'));
+  }
+
+  if ( transport === 'osjs' && !String(dest).match(/^(%[^%]+%|\/|[A-z]:[\/\\])/) ) {
+    return reject(new Error('Path must be absolute or start with a variable'));
+  }
+
+  return getTransports(cfg).then((transports) => {
+    if ( transports.indexOf(transport) === -1 ) {
+      return reject(new Error('Unknown transport ' + transport + ', use one of: ' + transports.join(', ')));
+    }
+
+    template.client.VFS.Mountpoints[name] = {
+      enabled: true,
+      title: title,
+      description: desc,
+      transport: transport,
+      readOnly: ro
+    };
+
+    template.server.vfs.mounts[name] = {
+      destination: dest,
+      ro: ro
+    };
+
+    return resolve(setConfigPath(null, template, true));
+  }).catch(reject);
+});
+
+/**
+ * Removes a mountpoint
+ *
+ * Both the client and server sides are removed in one write.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise}
+ */
+const removeMountpoint = (cfg, cli) => new Promise((resolve, reject) => {
+  const name = cli.option('name');
+  if ( !name ) {
+    return reject('Missing option(s)');
+  }
+
+  if ( !getMountpoints(cfg).find((iter) => iter.name === name) ) {
+    return reject(new Error('No such mountpoint ' + name));
+  }
+
+  const target = path.join(ROOT, 'src', 'conf', '900-custom.json');
+  return readConfigurationFiles({profile: cli.profile}).then((files) => {
+    const others = files.filter((iter) => {
+      return iter.file !== target && (
+        findKeyPath(iter.raw, ['client', 'VFS', 'Mountpoints', name]).found ||
+        findKeyPath(iter.raw, ['server', 'vfs', 'mounts', name]).found
+      );
+    }).map((iter) => path.relative(ROOT, iter.file));
+
+    if ( others.length ) {
+      return reject(new Error('Mountpoint ' + name + ' is also defined in: ' + others.join(', ')));
+    }
+
+    return resolve(setConfigPath(null, {
+      client: {
+        VFS: {
+          Mountpoints: {
+            [name]: null
+          }
+        }
+      },
+      server: {
+        vfs: {
+          mounts: {
+            [name]: null
+          }
+        }
+      }
+    }, true));
+  }).catch(reject);
+});
+
+/**
+ * Forcefully enables or disables a package
+ *
+ * Both the short and the fully qualified name is removed from
+ * the opposite list to avoid contradicting entries.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @param {Boolean} enable Enable the package
+ * @return {Promise}
+ */
+const togglePackage = (cfg, cli, enable) => new Promise((resolve, reject) => {
+  const name = cli.option('name');
+  if ( !name ) {
+    return reject('You need to give --name');
+  }
+
+  return opkg.getMetadata(cfg, cli, (pkg, n) => n === name, true).then((packages) => {
+    if ( !packages[name] ) {
+      return reject(new Error('No such package ' + name));
+    }
+
+    const names = [name, name.split('/')[1]];
+    const without = (list) => (list || []).filter((n) => names.indexOf(n) === -1);
+    const add = without(enable ? cfg.packages.ForceEnable : cfg.packages.ForceDisable).concat([name]);
+    const remove = without(enable ? cfg.packages.ForceDisable : cfg.packages.ForceEnable);
+
+    return resolve(setConfigPath(null, {
+      packages: {
+        ForceEnable: enable ? add : remove,
+        ForceDisable: enable ? remove : add
+      }
+    }, true));
+  }).catch(reject);
+});
+
+/**
+ * Adds (or changes) a MIME mapping
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with the extension
+ */
+const addMime = (cfg, cli) => new Promise((resolve, reject) => {
+  const ext = String(cli.option('ext') || '').replace(/^\.?/, '.');
+  const type = String(cli.option('type') || '');
+
+  if ( !ext.match(/^\.[\w\-\.]+$/) ) {
+    return reject('You need to give a valid --ext');
+  } else if ( !type.match(/^[\w\-\.\+]+\/[\w\-\.\+]+$/) ) {
+    return reject('You need to give a valid --type');
+  }
+
+  setConfigPath(null, {
+    mime: {
+      mapping: {
+        [ext]: type
+      }
+    }
+  }, true);
+
+  return resolve(ext);
+});
+
+/**
+ * Removes a MIME mapping
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise}
+ */
+const removeMime = (cfg, cli) => new Promise((resolve, reject) => {
+  const ext = String(cli.option('ext') || '').replace(/^\.?/, '.');
+  if ( typeof cfg.mime.mapping[ext] === 'undefined' ) {
+    return reject(new Error('No such MIME mapping ' + ext));
+  }
+
+  const target = path.join(ROOT, 'src', 'conf', '900-custom.json');
+  return readConfigurationFiles({profile: cli.profile}).then((files) => {
+    const others = files.filter((iter) => {
+      return iter.file !== target && findKeyPath(iter.raw, ['mime', 'mapping', ext]).found;
+    }).map((iter) => path.relative(ROOT, iter.file));
+
+    if ( others.length ) {
+      return reject(new Error('MIME mapping ' + ext + ' is also defined in: ' + others.join(', ')));
+    }
+
+    return resolve(setConfigPath(null, {
+      mime: {
+        mapping: {
+          [ext]: null
+        }
+      }
+    }, true));
+  }).catch(reject);
+});
+
+/**
+ * Checks the MIME mapping against packages and configuration files
+ *
+ * Reports package 'mime' patterns that does not match any mapped type and
+ * extensions that are mapped to different types in the configuration files.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with an array of {message, source}
+ */
+const checkMimes = (cfg, cli) => new Promise((resolve, reject) => {
+  const mapping = cfg.mime.mapping || {};
+  const types = Object.keys(mapping).map((k) => mapping[k]);
+  const problems = [];
+
+  opkg.getMetadata(cfg, cli).then((packages) => {
+    Object.keys(packages).forEach((k) => {
+      (packages[k].mime || []).forEach((pattern) => {
+        let re;
+        try {
+          re = new RegExp(pattern);
+        } catch ( e ) {
+          problems.push({message: k + ' has an invalid mime pattern ' + pattern, source: packages[k]._src});
+          return;
+        }
+
+        if ( !types.some((t) => re.test(t)) ) {
+          problems.push({message: k + ' mime ' + pattern + ' is not mapped from any extension', source: packages[k]._src});
+        }
+      });
+    });
+
+    return readConfigurationFiles({profile: cli.profile});
+  }).then((files) => {
+    const seen = {};
+    files.forEach((iter) => {
+      const found = findKeyPath(iter.raw, ['mime', 'mapping']);
+      if ( found.found && found.value ) {
+        Object.keys(found.value).filter((ext) => typeof found.value[ext] === 'string').forEach((ext) => {
+          seen[ext] = (seen[ext] || []).concat([{type: found.value[ext], file: path.relative(ROOT, iter.file)}]);
+        });
+      }
+    });
+
+    Object.keys(seen).forEach((ext) => {
+      const list = seen[ext];
+      if ( list.some((iter) => iter.type !== list[0].type) ) {
+        problems.push({
+          message: ext + ' is mapped to conflicting types: ' + list.map((iter) => iter.type + ' (' + iter.file + ')').join(', '),
+          source: list[list.length - 1].file
+        });
+      }
+    });
+
+    resolve(problems);
+  }).catch(reject);
 });
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -473,10 +1470,27 @@ const addMountpoint = (cfg, cli) => new Promise((resolve, reject) => {
 
 module.exports = {
   readConfigurationTree,
+  readConfigurationFiles,
+  createConfigurationSnapshot,
+  readConfigurationSnapshot,
+  getSecretKeys,
+  maskSecrets,
+  validateConfiguration,
+  explainConfiguration,
+  diffConfiguration,
+  getConfigurationHistory,
+  undoConfiguration,
+  migrateConfiguration,
   getConfiguration,
   setConfiguration,
   addConfiguration,
   addMountpoint,
+  togglePackage,
+  addMime,
+  removeMime,
+  checkMimes,
+  removeMountpoint,
+  getMountpoints,
   removeConfiguration,
   createConfiguration,
   buildClientConfiguration,
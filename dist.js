@@ -0,0 +1,221 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2017, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const glob = require('glob-promise');
+const path = require('path');
+const fs = require('fs-extra');
+const oweb = require('./webpack.js');
+const outils = require('./utils.js');
+
+const ROOT = process.env.OSJS_ROOT || path.dirname(process.argv[1]);
+const DIST = path.join(ROOT, 'dist');
+
+///////////////////////////////////////////////////////////////////////////////
+// HELPERS
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Checks if a reference is remote (or otherwise not a file)
+ * @param {String} src The reference
+ * @return {Boolean}
+ */
+const isRemote = (src) => !!src.match(/^((\w+:)?\/\/|data:|mailto:|javascript:|#)/);
+
+/**
+ * Strips queries and hashes from a reference
+ * @param {String} src The reference
+ * @return {String}
+ */
+const stripQuery = (src) => src.replace(/[?#].*$/, '');
+
+/**
+ * Reads the client manifest by removing the template around the packages
+ * @return {Object} Or null if there is no client manifest
+ */
+const readClientManifest = () => {
+  const filename = path.join(DIST, 'packages.js');
+  const template = path.join(ROOT, 'src', 'templates', 'dist', 'packages.js');
+  if ( !fs.existsSync(filename) || !fs.existsSync(template) ) {
+    return null;
+  }
+
+  const [prefix, suffix] = fs.readFileSync(template, 'utf-8').split('%PACKAGES%');
+  const content = fs.readFileSync(filename, 'utf-8');
+  if ( content.indexOf(prefix) !== 0 || content.lastIndexOf(suffix) !== content.length - suffix.length ) {
+    throw new Error('dist/packages.js does not match the template');
+  }
+
+  return JSON.parse(content.substr(prefix.length, content.length - prefix.length - suffix.length));
+};
+
+/**
+ * Checks that all preloads in a package manifest exists
+ * @param {String} label Manifest label
+ * @param {Object} packages Package manifest
+ * @return {String[]} Problems
+ */
+const verifyManifest = (label, packages) => {
+  const problems = [];
+
+  Object.keys(packages).forEach((k) => {
+    (packages[k].preload || []).forEach((iter) => {
+      const src = typeof iter === 'string' ? iter : iter.src;
+      if ( isRemote(src) ) {
+        return;
+      }
+
+      const filename = path.join(DIST, 'packages', packages[k].path || k, stripQuery(src));
+      if ( !fs.existsSync(filename) ) {
+        problems.push(label + ': ' + k + ' preload ' + path.relative(ROOT, filename) + ' is missing');
+      }
+    });
+  });
+
+  return problems;
+};
+
+/**
+ * Checks that all index includes exists
+ * @param {Object} cfg Configuration tree
+ * @return {String[]} Problems
+ */
+const verifyIncludes = (cfg) => {
+  const includes = oweb.getIndexIncludes(cfg);
+
+  return includes.scripts.concat(includes.styles).filter((src) => {
+    return !isRemote(src) && !fs.existsSync(path.join(DIST, stripQuery(src)));
+  }).map((src) => 'Includes: dist/' + stripQuery(src) + ' is missing');
+};
+
+/**
+ * Checks that all themes have been copied
+ * @param {Object} cfg Configuration tree
+ * @return {Promise} Resolves with problems
+ */
+const verifyThemes = (cfg) => {
+  const themes = cfg.themes || {};
+  const problems = [];
+  const check = (type, name, filename) => {
+    const dest = path.join(DIST, 'themes', type, name, filename || '');
+    if ( !fs.existsSync(dest) || (!filename && !fs.readdirSync(dest).length) ) {
+      problems.push('Themes: ' + type + ' ' + name + ' is missing ' + path.relative(ROOT, dest));
+    }
+  };
+
+  (themes.styles || []).forEach((n) => check('styles', n, 'theme.js'));
+  (themes.icons || []).forEach((n) => check('icons', n));
+  (themes.sounds || []).forEach((n) => check('sounds', n));
+
+  // Fonts are bundled, but the font files are emitted to a shared directory
+  return Promise.all((themes.fonts || []).map((n) => {
+    const src = outils.findFile(cfg, path.join('themes', 'fonts', n));
+    if ( !src ) {
+      problems.push('Themes: fonts ' + n + ' does not exist');
+      return Promise.resolve();
+    }
+
+    return glob('*.{eot,svg,ttf,woff,woff2}', {cwd: src}).then((files) => {
+      files.filter((f) => !fs.existsSync(path.join(DIST, 'themes', 'fonts', f))).forEach((f) => {
+        problems.push('Themes: fonts ' + n + ' is missing dist/themes/fonts/' + f);
+      });
+    });
+  })).then(() => problems);
+};
+
+/**
+ * Checks that all references in the index file exists
+ * @return {String[]} Problems
+ */
+const verifyIndex = () => {
+  const filename = path.join(DIST, 'index.html');
+  if ( !fs.existsSync(filename) ) {
+    return ['Index: dist/index.html is missing'];
+  }
+
+  const html = fs.readFileSync(filename, 'utf-8');
+  const re = /\b(?:src|href)\s*=\s*["']([^"']+)["']/g;
+  const problems = [];
+
+  let m;
+  while ( (m = re.exec(html)) !== null ) {
+    const src = m[1];
+    if ( !isRemote(src) && !fs.existsSync(path.join(DIST, stripQuery(src))) ) {
+      problems.push('Index: ' + src + ' does not resolve in dist/');
+    }
+  }
+
+  return problems;
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// API
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Verifies the contents of the dist directory
+ *
+ * Checks that the package manifests, index includes, themes and
+ * references in index.html all point to existing files.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with a list of problems
+ */
+const verifyDist = (cfg, cli) => new Promise((resolve, reject) => {
+  const serverManifest = path.join(ROOT, 'src', 'server', 'packages.json');
+
+  let problems = [];
+  if ( fs.existsSync(serverManifest) ) {
+    problems = problems.concat(verifyManifest('Server manifest', fs.readJsonSync(serverManifest)));
+  } else {
+    problems.push('Server manifest: src/server/packages.json is missing');
+  }
+
+  const clientManifest = readClientManifest();
+  if ( clientManifest ) {
+    problems = problems.concat(verifyManifest('Client manifest', clientManifest));
+  } else if ( cli.option('standalone') ) {
+    problems.push('Client manifest: dist/packages.js is missing');
+  }
+
+  problems = problems.concat(verifyIncludes(cfg)).concat(verifyIndex());
+
+  verifyThemes(cfg).then((list) => {
+    resolve(problems.concat(list));
+  }).catch(reject);
+});
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+module.exports = {
+  verifyDist
+};
@@ -0,0 +1,483 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2017, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const vm = require('vm');
+const glob = require('glob-promise');
+const path = require('path');
+const fs = require('fs-extra');
+const opkg = require('./packages.js');
+
+const ROOT = process.env.OSJS_ROOT || path.dirname(process.argv[1]);
+const CORE_LOCALES = path.join(ROOT, 'src', 'client', 'javascript', 'locale');
+const REFERENCE = 'en_EN';
+
+///////////////////////////////////////////////////////////////////////////////
+// HELPERS
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Reads a locale file by evaluating it
+ * @param {String} filename The filename
+ * @return {Object}
+ */
+const readLocaleFile = (filename) => {
+  const sandbox = {
+    module: {exports: {}},
+    require: () => ({})
+  };
+  sandbox.exports = sandbox.module.exports;
+
+  try {
+    vm.runInNewContext(fs.readFileSync(filename, 'utf-8'), sandbox, {
+      filename: filename,
+      timeout: 1000
+    });
+  } catch ( e ) {
+    throw new Error('Failed to read ' + path.relative(ROOT, filename) + ': ' + e.message);
+  }
+
+  return sandbox.module.exports || {};
+};
+
+/**
+ * Splits a locale file into its leading comments and the remaining code
+ * @param {String} filename The filename
+ * @return {Object}
+ */
+const splitLocaleFile = (filename) => {
+  const source = fs.existsSync(filename) ? fs.readFileSync(filename, 'utf-8') : '';
+  const m = source.match(/^(\s*(\/\*[\s\S]*?\*\/|\/\/[^\n]*))*\s*/);
+  return {
+    header: m[0].trim(),
+    body: source.substr(m[0].length)
+  };
+};
+
+/**
+ * Checks if a locale file is a plain `module.exports = {...}` literal
+ * that can safely be regenerated
+ * @param {String} filename The filename
+ * @return {Boolean}
+ */
+const isPlainLocaleFile = (filename) => {
+  if ( !fs.existsSync(filename) ) {
+    return true;
+  }
+
+  const m = splitLocaleFile(filename).body.match(/^module\.exports\s*=\s*(\{[\s\S]*\})\s*;?\s*$/);
+  if ( !m ) {
+    return false;
+  }
+
+  const isData = (value) => {
+    if ( typeof value === 'string' ) {
+      return true;
+    } else if ( Object.prototype.toString.call(value) === '[object Object]' ) {
+      return Object.keys(value).every((k) => isData(value[k]));
+    }
+    return false;
+  };
+
+  try {
+    return isData(vm.runInNewContext('(' + m[1] + ')', Object.create(null), {timeout: 1000}));
+  } catch ( e ) {
+    return false;
+  }
+};
+
+/**
+ * Writes a locale file, keeping the leading comments (if any)
+ * @param {String} filename The filename
+ * @param {Object} strings The contents
+ */
+const writeLocaleFile = (filename, strings) => {
+  const header = splitLocaleFile(filename).header;
+  fs.writeFileSync(filename, (header ? header + '\n\n' : '') + 'module.exports = ' + JSON.stringify(strings, null, 2) + ';\n');
+};
+
+/**
+ * Finds all keys used with _() in given files
+ * @param {String} cwd Base directory
+ * @param {String[]} ignore Ignored patterns
+ * @return {Promise} Resolves with an array of keys
+ */
+const findUsedKeys = (cwd, ignore) => {
+  const re = /(?:^|[^\w$])_\(\s*(['"])((?:\\.|(?!\1)[^\\])*)\1/g;
+
+  return glob('**/*.js', {cwd: cwd, nodir: true, ignore: ['node_modules/**'].concat(ignore)}).then((files) => {
+    const keys = [];
+    files.forEach((f) => {
+      const code = fs.readFileSync(path.join(cwd, f), 'utf-8');
+
+      let m;
+      while ( (m = re.exec(code)) !== null ) {
+        const key = m[2].replace(/\\(.)/g, '$1');
+        if ( keys.indexOf(key) === -1 ) {
+          keys.push(key);
+        }
+      }
+    });
+    return keys.sort();
+  });
+};
+
+/**
+ * Gets the core locale unit
+ * @return {Promise}
+ */
+const getCoreUnit = () => {
+  if ( !fs.existsSync(CORE_LOCALES) ) {
+    return Promise.resolve(null);
+  }
+
+  const locales = {};
+  fs.readdirSync(CORE_LOCALES).filter((f) => f.match(/^\w+\.js$/)).forEach((f) => {
+    locales[path.basename(f, '.js')] = readLocaleFile(path.join(CORE_LOCALES, f));
+  });
+
+  return findUsedKeys(path.dirname(CORE_LOCALES), ['locale/**']).then((used) => ({
+    name: 'core',
+    locales: locales,
+    used: used,
+    file: (lang) => path.join(CORE_LOCALES, lang + '.js'),
+    write: (lang, strings) => writeLocaleFile(path.join(CORE_LOCALES, lang + '.js'), strings)
+  }));
+};
+
+/**
+ * Gets the locale unit of a package
+ * @param {Object} metadata Package metadata
+ * @return {Promise}
+ */
+const getPackageUnit = (metadata) => {
+  const cwd = path.resolve(ROOT, metadata._src);
+  const filename = path.join(cwd, 'locales.js');
+  const locales = fs.existsSync(filename) ? readLocaleFile(filename) : {};
+
+  return findUsedKeys(cwd, ['**/locales.js']).then((used) => ({
+    name: metadata.path,
+    locales: locales,
+    used: used,
+    file: () => filename,
+    write: (lang, strings) => {
+      const current = fs.existsSync(filename) ? readLocaleFile(filename) : {};
+      current[lang] = strings;
+      writeLocaleFile(filename, current);
+    }
+  }));
+};
+
+/**
+ * Gets the reference keys of a unit
+ *
+ * These are the keys of the reference language, or the
+ * keys used in the sources if the unit has no reference.
+ *
+ * @param {Object} unit Locale unit
+ * @return {String[]}
+ */
+const getReferenceKeys = (unit) => {
+  return unit.locales[REFERENCE] ? Object.keys(unit.locales[REFERENCE]) : unit.used;
+};
+
+/**
+ * Escapes a string for PO files
+ * @param {String} str The string
+ * @return {String}
+ */
+const escapePo = (str) => '"' + String(str)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n') + '"';
+
+/**
+ * Parses a PO file
+ * @param {String} data The file contents
+ * @return {Object} An object with {language, entries: [{context, id, str}]}
+ */
+const parsePo = (data) => {
+  const entries = [];
+  const unescape = (str) => JSON.parse(str);
+
+  let current = {};
+  let last = null;
+
+  const flush = () => {
+    if ( typeof current.id !== 'undefined' ) {
+      entries.push(current);
+    }
+    current = {};
+    last = null;
+  };
+
+  data.split(/\r?\n/).forEach((line) => {
+    const m = line.match(/^(msgctxt|msgid|msgstr)\s+(".*")\s*$/);
+    if ( m ) {
+      if ( m[1] === 'msgctxt' || (m[1] === 'msgid' && typeof current.context === 'undefined') ) {
+        flush();
+      }
+      last = {msgctxt: 'context', msgid: 'id', msgstr: 'str'}[m[1]];
+      current[last] = unescape(m[2]);
+    } else if ( line.match(/^".*"\s*$/) && last ) {
+      current[last] += unescape(line.trim());
+    } else if ( !line.trim() ) {
+      flush();
+    }
+  });
+  flush();
+
+  const header = entries.find((e) => e.id === '' && !e.context);
+  const lang = header ? (header.str.match(/^Language:\s*(\S+)/m) || [])[1] : null;
+
+  return {
+    language: lang || null,
+    entries: entries.filter((e) => e !== header)
+  };
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// API
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Gets all locale units (the core and every package)
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with an array of {name, locales, used, write}
+ */
+const getLocaleUnits = (cfg, cli) => {
+  return opkg.getMetadata(cfg, cli).then((packages) => {
+    return Promise.all([getCoreUnit()].concat(Object.keys(packages).sort().map((k) => {
+      return getPackageUnit(packages[k]);
+    })));
+  }).then((units) => units.filter((u) => !!u));
+};
+
+/**
+ * Creates a translation report
+ *
+ * Every language found anywhere is checked against the reference keys
+ * of each unit, so a package lacking a language entirely is reported.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with an array of {name, languages: [{language, completion, missing, unused}]}
+ */
+const createReport = (cfg, cli) => {
+  const only = cli.option('lang');
+
+  return getLocaleUnits(cfg, cli).then((units) => {
+    const languages = units.reduce((list, u) => list.concat(Object.keys(u.locales)), [REFERENCE])
+      .filter((l, i, list) => list.indexOf(l) === i && (!only || l === only))
+      .sort();
+
+    return units.map((unit) => {
+      const reference = getReferenceKeys(unit);
+
+      return {
+        name: unit.name,
+        languages: languages.filter((l) => l !== REFERENCE || unit.locales[REFERENCE]).map((l) => {
+          const strings = unit.locales[l] || {};
+          const expected = l === REFERENCE ? unit.used : reference;
+          const missing = expected.filter((k) => typeof strings[k] === 'undefined');
+          const unused = Object.keys(strings).filter((k) => unit.used.indexOf(k) === -1);
+
+          return {
+            language: l,
+            completion: expected.length ? Math.floor((expected.length - missing.length) / expected.length * 100) : 100,
+            missing: missing,
+            unused: unused
+          };
+        })
+      };
+    });
+  });
+};
+
+/**
+ * Exports translations
+ *
+ * JSON exports contains all units and languages (or '--lang').
+ * PO exports requires '--lang' and uses the unit name as context.
+ * Missing strings are exported as empty strings.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with the exported data
+ */
+const exportTranslations = (cfg, cli) => {
+  const format = cli.option('format', 'json');
+  const lang = cli.option('lang');
+
+  if ( ['json', 'po'].indexOf(format) === -1 ) {
+    return Promise.reject('Invalid --format, use json or po');
+  } else if ( format === 'po' && !lang ) {
+    return Promise.reject('You need to give --lang with the po format');
+  }
+
+  return getLocaleUnits(cfg, cli).then((units) => {
+    if ( format === 'po' ) {
+      const lines = [
+        'msgid ""',
+        'msgstr ""',
+        escapePo('Language: ' + lang + '\n'),
+        escapePo('Content-Type: text/plain; charset=UTF-8\n'),
+        ''
+      ];
+
+      units.forEach((unit) => {
+        const strings = unit.locales[lang] || {};
+        getReferenceKeys(unit).forEach((k) => {
+          lines.push('msgctxt ' + escapePo(unit.name));
+          lines.push('msgid ' + escapePo(k));
+          lines.push('msgstr ' + escapePo(strings[k] || ''));
+          lines.push('');
+        });
+      });
+
+      return lines.join('\n');
+    }
+
+    const result = {};
+    units.forEach((unit) => {
+      const reference = getReferenceKeys(unit);
+      const languages = lang ? [lang] : Object.keys(unit.locales);
+
+      result[unit.name] = {};
+      languages.forEach((l) => {
+        const strings = unit.locales[l] || {};
+        result[unit.name][l] = {};
+        reference.concat(Object.keys(strings).filter((k) => reference.indexOf(k) === -1)).forEach((k) => {
+          result[unit.name][l][k] = strings[k] || '';
+        });
+      });
+    });
+
+    return JSON.stringify(result, null, 2);
+  });
+};
+
+/**
+ * Imports translations created with exportTranslations()
+ *
+ * Only non-empty strings are imported. The format is taken from
+ * '--format' or the file extension.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with the number of imported strings
+ */
+const importTranslations = (cfg, cli) => {
+  const file = cli.option('file');
+  if ( !file ) {
+    return Promise.reject('You need to give --file');
+  }
+
+  const filename = path.resolve(ROOT, file);
+  const format = cli.option('format', path.extname(filename).substr(1) || 'json');
+  const data = fs.readFileSync(filename, 'utf-8');
+
+  // unit => lang => key => string
+  const imported = {};
+  const add = (unit, lang, key, str) => {
+    if ( str ) {
+      imported[unit] = imported[unit] || {};
+      imported[unit][lang] = imported[unit][lang] || {};
+      imported[unit][lang][key] = str;
+    }
+  };
+
+  if ( format === 'po' ) {
+    const po = parsePo(data);
+    const lang = cli.option('lang') || po.language;
+    if ( !lang ) {
+      return Promise.reject('You need to give --lang');
+    }
+    po.entries.forEach((e) => add(e.context || 'core', lang, e.id, e.str));
+  } else if ( format === 'json' ) {
+    const json = JSON.parse(data);
+    Object.keys(json).forEach((unit) => {
+      Object.keys(json[unit]).forEach((lang) => {
+        Object.keys(json[unit][lang]).forEach((k) => add(unit, lang, k, json[unit][lang][k]));
+      });
+    });
+  } else {
+    return Promise.reject('Invalid --format, use json or po');
+  }
+
+  return getLocaleUnits(cfg, cli).then((units) => {
+    const changes = [];
+
+    Object.keys(imported).forEach((name) => {
+      const unit = units.find((u) => u.name === name);
+      if ( !unit ) {
+        console.warn('Skipping unknown locale unit', name);
+        return;
+      }
+
+      Object.keys(imported[name]).forEach((lang) => {
+        const strings = Object.assign({}, unit.locales[lang] || {});
+        const changed = Object.keys(imported[name][lang]).filter((k) => {
+          return strings[k] !== imported[name][lang][k];
+        });
+
+        if ( changed.length ) {
+          changed.forEach((k) => (strings[k] = imported[name][lang][k]));
+          changes.push({unit: unit, lang: lang, strings: strings, count: changed.length});
+        }
+      });
+    });
+
+    const refused = changes.map((c) => c.unit.file(c.lang))
+      .filter((f, i, a) => a.indexOf(f) === i && !isPlainLocaleFile(f));
+
+    if ( refused.length ) {
+      return Promise.reject('Refusing to rewrite locale files that are not a plain module.exports = {...} literal:\n  ' +
+        refused.map((f) => path.relative(ROOT, f)).join('\n  '));
+    }
+
+    return changes.reduce((count, c) => {
+      c.unit.write(c.lang, c.strings);
+      return count + c.count;
+    }, 0);
+  });
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+module.exports = {
+  getLocaleUnits,
+  createReport,
+  exportTranslations,
+  importTranslations
+};
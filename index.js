@@ -35,5 +35,10 @@ module.exports = {
   configuration: require('./configuration.js'),
   packages: require('./packages.js'),
   themes: require('./themes.js'),
+  secrets: require('./secrets.js'),
+  repositories: require('./repositories.js'),
+  dist: require('./dist.js'),
+  i18n: require('./i18n.js'),
+  migrations: require('./migrations.js'),
   webpack: require('./webpack.js')
 };
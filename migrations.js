@@ -0,0 +1,90 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2017, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+// MIGRATIONS
+///////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Each migration takes a configuration file from the previous format
+ * version to the given version. A file can contain any part of the tree,
+ * so a migration must only touch the entries that are present.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add configuration format version',
+    migrate: (tree) => tree
+  }
+];
+
+///////////////////////////////////////////////////////////////////////////////
+// API
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Current configuration format version
+ * @type {Number}
+ */
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Gets the format version of a configuration file
+ * @param {Object} tree The tree
+ * @return {Number}
+ */
+const getVersion = (tree) => parseInt(tree.configVersion, 10) || 0;
+
+/**
+ * Migrates a configuration file to the current format version
+ * @param {Object} tree The tree
+ * @return {Object} A new tree
+ */
+const migrate = (tree) => {
+  const version = getVersion(tree);
+  const result = MIGRATIONS.filter((m) => m.version > version).reduce((t, m) => {
+    return m.migrate(t);
+  }, JSON.parse(JSON.stringify(tree)));
+
+  result.configVersion = CURRENT_VERSION;
+
+  return result;
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+module.exports = {
+  CURRENT_VERSION,
+  MIGRATIONS,
+  getVersion,
+  migrate
+};
@@ -31,11 +31,19 @@
 const colors = require('colors');
 const glob = require('glob-promise');
 const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const tar = require('tar');
 const fs = require('fs-extra');
 const promise = require('bluebird');
 const outils = require('./utils.js');
 
 const ROOT = process.env.OSJS_ROOT || path.dirname(process.argv[1]);
+const BUILD_CACHE = path.join(ROOT, '.osjs-cache', 'packages.json');
+
+const shadowWarnings = [];
 
 ///////////////////////////////////////////////////////////////////////////////
 // HELPERS
@@ -62,6 +70,7 @@ const readMetadataFile = (f, repo) => new Promise((resolve, reject) => {
   meta.path = name;
   meta.build = meta.build || {};
   meta.repo = repo;
+  meta.depends = (meta.depends || []).map((d) => d.indexOf('/') === -1 ? [repo, d].join('/') : d);
 
   meta.preload = (meta.preload || []).concat(meta.sources || []).map((iter) => {
     if ( typeof iter === 'string' ) {
@@ -87,48 +96,374 @@ const readMetadataFile = (f, repo) => new Promise((resolve, reject) => {
   resolve(meta);
 });
 
+/**
+ * Gets the repositories to use
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {String[]}
+ */
+const getRepositories = (cfg, cli) => {
+  const cliRepoString = cli.option('repositories', '').replace(/\s+/, '').trim();
+  const cliRepos = cliRepoString ? cliRepoString.split(',') : [];
+
+  return cliRepos.length ? cliRepos : outils.getRepositoryEntries(cfg).map((iter) => iter.name);
+};
+
+/**
+ * Finds all package metadata files in a repository
+ * @param {Object} cfg Configuration tree
+ * @param {String} repo The repository name
+ * @return {Promise}
+ */
+const findMetadataFiles = (cfg, repo) => new Promise((resolve, reject) => {
+  const paths = outils.getPackagePaths(cfg, repo);
+
+  // Keep the order of the paths, so that later overlays take precedence
+  Promise.all(paths.map((p) => glob(path.join(p, '*', 'metadata.json')))).then((found) => {
+    resolve(found.reduce((list, g) => list.concat(g.sort()), []));
+  }).catch(reject);
+});
+
+/**
+ * Resolves packages with the same name
+ *
+ * The last package in the list wins and gets a 'shadows' field
+ * with the sources of the packages it replaces.
+ *
+ * @param {Object[]} list Package metadata in order of precedence
+ * @return {Object} Map of name => metadata
+ */
+const resolveShadowedPackages = (list) => {
+  const result = {};
+
+  list.forEach((metadata) => {
+    const previous = result[metadata.path];
+    if ( previous ) {
+      metadata.shadows = (previous.shadows || []).concat([previous._src]);
+    }
+    result[metadata.path] = metadata;
+  });
+
+  return result;
+};
+
+/**
+ * Warns about (or fails on '--strict') shadowed packages
+ * @param {Object} packages Package list
+ * @param {Object} cli CLI wrapper
+ * @throws {Error} With '--strict' if any package is shadowed
+ */
+const checkShadowedPackages = (packages, cli) => {
+  const messages = Object.keys(packages).filter((k) => packages[k].shadows).map((k) => {
+    return k + ' in ' + packages[k]._src + ' shadows ' + packages[k].shadows.join(', ');
+  });
+
+  if ( messages.length && cli.option('strict') ) {
+    throw new Error('Found shadowed packages:\n  ' + messages.join('\n  '));
+  }
+
+  messages.filter((m) => shadowWarnings.indexOf(m) === -1).forEach((m) => {
+    shadowWarnings.push(m);
+    console.warn(colors.yellow('Warning:'), m);
+  });
+};
+
 /**
  * Gets all packages from a repository
  * @param {Object} cfg Configuration tree
  * @param {String} repo The repository name
+ * @param {Boolean} [includeDisabled=false] Include disabled packages (with '_enabled' set)
  * @return {Promise}
  */
-function getRepositoryPackages(cfg, repo) {
+function getRepositoryPackages(cfg, repo, includeDisabled) {
   const result = {};
-  const paths = outils.getPackagePaths(cfg, repo);
   const forceEnabled = cfg.packages.ForceEnable || [];
   const forceDisabled = cfg.packages.ForceDisable || [];
 
-  const getAllMetadataFiles = () => new Promise((resolve, reject) => {
-    let list = [];
-    Promise.all(paths.map((p) => new Promise((yes, no) => {
-      glob(path.join(p, '*', 'metadata.json')).then((g) => {
-        list = list.concat(g);
-        yes();
-      }).catch(no);
-    }))).then(() => resolve(list)).catch(reject);
-  });
-
   return new Promise((resolve, reject) => {
-    getAllMetadataFiles().then((files) => {
-      Promise.all(files.map((f) => {
-        return new Promise((yes, no) => {
-          readMetadataFile(f, repo).then((metadata) => {
-            metadata = Object.assign({}, metadata);
-
-            const enabled = outils.checkEnabledState(forceEnabled, forceDisabled, metadata);
-            if ( enabled ) {
-              result[metadata.path] = metadata;
-            }
-
-            yes();
-          }).catch(no);
-        });
-      })).then(() => resolve(result)).catch(reject);
+    findMetadataFiles(cfg, repo).then((files) => {
+      return Promise.all(files.map((f) => readMetadataFile(f, repo)));
+    }).then((list) => {
+      const packages = resolveShadowedPackages(list.map((m) => Object.assign({}, m)));
+
+      Object.keys(packages).forEach((k) => {
+        const metadata = packages[k];
+        const enabled = outils.checkEnabledState(forceEnabled, forceDisabled, metadata);
+        if ( includeDisabled ) {
+          metadata._enabled = enabled;
+          result[metadata.path] = metadata;
+        } else if ( enabled ) {
+          result[metadata.path] = metadata;
+        }
+      });
+
+      resolve(result);
     }).catch(reject);
   });
 }
 
+/**
+ * Finds packages that cannot be built because a dependency is missing
+ *
+ * This happens when a dependency is disabled or in a repository that
+ * is not used. Packages depending on such packages are included as well.
+ *
+ * @param {Object} packages Package list
+ * @return {Object} Map of name => the missing (or unbuildable) dependency
+ */
+function getMissingDependencies(packages) {
+  const result = {};
+
+  let changed = true;
+  while ( changed ) {
+    changed = false;
+    Object.keys(packages).filter((n) => !result[n]).forEach((n) => {
+      const found = (packages[n].depends || []).find((d) => !packages[d] || result[d]);
+      if ( found ) {
+        result[n] = found;
+        changed = true;
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Gets the build order for given packages
+ *
+ * Dependencies (the 'depends' list in metadata) are always placed
+ * before the packages that depend on them.
+ *
+ * @param {Object} packages Package list
+ * @param {String[]} names Package names
+ * @throws {Error} On missing or circular dependencies
+ * @return {String[]}
+ */
+function getBuildOrder(packages, names) {
+  const result = [];
+
+  const visit = (name, stack) => {
+    if ( stack.indexOf(name) !== -1 ) {
+      throw new Error('Circular package dependency: ' + stack.slice(stack.indexOf(name)).concat([name]).join(' -> '));
+    }
+
+    if ( result.indexOf(name) !== -1 ) {
+      return;
+    }
+
+    const metadata = packages[name];
+    if ( !metadata ) {
+      const parent = stack[stack.length - 1];
+      throw new Error(parent ? 'Package ' + parent + ' depends on ' + name + ' which was not found' : 'Package ' + name + ' was not found');
+    }
+
+    (metadata.depends || []).forEach((d) => visit(d, stack.concat([name])));
+    result.push(name);
+  };
+
+  names.forEach((name) => visit(name, []));
+
+  return result;
+}
+
+/**
+ * Reads the package build cache
+ * @return {Object}
+ */
+const readBuildCache = () => {
+  try {
+    return fs.readJsonSync(BUILD_CACHE);
+  } catch ( e ) {
+    return {};
+  }
+};
+
+/**
+ * Updates an entry in the package build cache
+ * @param {String} name Package name
+ * @param {String} hash Package hash
+ */
+const updateBuildCache = (name, hash) => {
+  const cache = readBuildCache();
+  cache[name] = hash;
+
+  fs.ensureDirSync(path.dirname(BUILD_CACHE));
+  fs.writeFileSync(BUILD_CACHE, JSON.stringify(cache, null, 2));
+};
+
+/**
+ * Finds all source files of a package (excluding node_modules)
+ * @param {String} cwd Package directory
+ * @return {Promise} Resolves with sorted relative filenames
+ */
+const findSourceFiles = (cwd) => {
+  return glob('**/*', {cwd: cwd, dot: true, nodir: true, ignore: ['node_modules/**']}).then((files) => {
+    return files.sort();
+  });
+};
+
+/**
+ * Creates checksums for given files
+ * @param {String} cwd Base directory
+ * @param {String[]} files Relative filenames
+ * @return {Object}
+ */
+const createChecksums = (cwd, files) => {
+  const result = {};
+  files.forEach((f) => {
+    result[f] = crypto.createHash('sha1')
+      .update(fs.readFileSync(path.join(cwd, f)))
+      .digest('hex');
+  });
+  return result;
+};
+
+/**
+ * Creates a hash of everything that affects the build of a package
+ *
+ * This includes the package sources, the build configuration and options.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @param {Object} metadata Package metadata
+ * @return {Promise}
+ */
+const getPackageHash = (cfg, cli, metadata) => new Promise((resolve, reject) => {
+  const cwd = path.resolve(ROOT, metadata._src);
+  const hash = crypto.createHash('sha1');
+
+  hash.update(JSON.stringify({
+    build: cfg.build,
+    options: {
+      debug: cli.debug,
+      profile: cli.profile,
+      standalone: cli.option('standalone'),
+      minimize: cli.option('minimize'),
+      sourcemaps: cli.option('sourcemaps'),
+      devtool: cli.option('devtool')
+    }
+  }));
+
+  findSourceFiles(cwd).then((files) => {
+    files.forEach((f) => {
+      hash.update(f);
+      hash.update(fs.readFileSync(path.join(cwd, f)));
+    });
+
+    resolve(hash.digest('hex'));
+  }).catch(reject);
+});
+
+/**
+ * Gets all package templates
+ *
+ * Templates in overlays ('<overlay>/templates/package/<type>') takes
+ * precedence over the ones in 'src/templates/package'.
+ *
+ * @param {Object} cfg Configuration tree
+ * @return {Object} Map of type => directory
+ */
+const getPackageTemplates = (cfg) => {
+  const dirs = [path.join(ROOT, 'src', 'templates', 'package')].concat((cfg.overlays || []).map((o) => {
+    return path.resolve(ROOT, o, 'templates', 'package');
+  }));
+
+  const result = {};
+  dirs.filter((d) => fs.existsSync(d)).forEach((d) => {
+    fs.readdirSync(d).filter((t) => fs.statSync(path.join(d, t)).isDirectory()).forEach((t) => {
+      result[t] = path.join(d, t);
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Asks for template variables on the command line
+ * @param {Object} variables Variables with default values
+ * @param {String[]} keys The variables to ask for
+ * @return {Promise} Resolves with the updated variables
+ */
+const promptTemplateVariables = (variables, keys) => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  // Lines can arrive before they are asked for when input is piped
+  const lines = [];
+  let waiting = null;
+  let closed = false;
+
+  rl.on('line', (line) => waiting ? waiting(line) : lines.push(line));
+  rl.on('close', () => {
+    closed = true;
+    if ( waiting ) {
+      waiting('');
+    }
+  });
+
+  const nextLine = () => new Promise((resolve) => {
+    if ( lines.length || closed ) {
+      resolve(lines.length ? lines.shift() : '');
+    } else {
+      waiting = (line) => {
+        waiting = null;
+        resolve(line);
+      };
+    }
+  });
+
+  return promise.each(keys, (k) => {
+    process.stdout.write(k.toLowerCase() + ' [' + variables[k] + ']: ');
+
+    return nextLine().then((answer) => {
+      if ( !process.stdin.isTTY ) {
+        process.stdout.write('\n');
+      }
+      if ( answer.trim() ) {
+        variables[k] = answer.trim();
+      }
+    });
+  }).then(() => {
+    rl.close();
+    return variables;
+  });
+};
+
+/**
+ * Escapes a template variable for the type of file it is inserted into
+ *
+ * Values in JSON and JavaScript files are escaped for use inside string literals.
+ *
+ * @param {String} filename The template filename
+ * @param {String} value The value
+ * @return {String}
+ */
+const escapeTemplateVariable = (filename, value) => {
+  const ext = path.extname(filename).toLowerCase();
+  if ( ext === '.json' || ext === '.js' ) {
+    const escaped = JSON.stringify(String(value)).slice(1, -1);
+    return ext === '.js' ? escaped.replace(/['`$]/g, '\\$&') : escaped;
+  }
+  return value;
+};
+
+/**
+ * Replaces template variables in a string
+ * @param {String} str The string
+ * @param {Object} variables Variables
+ * @param {String} [filename] Escape the values for this file
+ * @return {String}
+ */
+const applyTemplateVariables = (str, variables, filename) => {
+  const escape = (v) => filename ? escapeTemplateVariable(filename, v) : v;
+  return Object.keys(variables).reduce((result, k) => {
+    return result.split('%' + k + '%').join(escape(variables[k]));
+  }, str).replace(/EXAMPLE/g, escape(variables.NAME));
+};
+
 ///////////////////////////////////////////////////////////////////////////////
 // API
 ///////////////////////////////////////////////////////////////////////////////
@@ -139,25 +474,30 @@ function getRepositoryPackages(cfg, repo) {
  * @param {Object} cfg Configuration tree
  * @param {Object} cli CLI wrapper
  * @param {Function} [filter] An optional filtering function
+ * @param {Boolean} [includeDisabled=false] Include disabled packages (with '_enabled' set)
  * @return {Promise}
  */
-const getMetadata = (cfg, cli, filter) => new Promise((resolve, reject) => {
+const getMetadata = (cfg, cli, filter, includeDisabled) => new Promise((resolve, reject) => {
   filter = filter || (() => true);
 
-  const cliRepoString = cli.option('repositories', '').replace(/\s+/, '').trim();
-  const cliRepos = cliRepoString ? cliRepoString.split(',') : [];
-
   let list = {};
-  let repos = cliRepos.length ? cliRepos : cfg.repositories;
+  let repos = getRepositories(cfg, cli);
 
   const promises = repos.map((repo) => new Promise((yes, no) => {
-    getRepositoryPackages(cfg, repo).then((packages) => {
+    getRepositoryPackages(cfg, repo, includeDisabled).then((packages) => {
       list = Object.assign(list, packages);
       yes();
     }).catch(no);
   }));
 
   Promise.all(promises).then(() => {
+    try {
+      checkShadowedPackages(list, cli);
+    } catch ( e ) {
+      reject(e);
+      return;
+    }
+
     const result = {};
     Object.keys(list).forEach((k) => {
       if ( filter(list[k], k) ) {
@@ -172,6 +512,9 @@ const getMetadata = (cfg, cli, filter) => new Promise((resolve, reject) => {
 /**
  * Gets metadata for a given package
  *
+ * Uses the same precedence as getMetadata() when the
+ * package exists in several places.
+ *
  * @param {Object} cfg Configuration tree
  * @param {String} name Package name
  * @return {Promise}
@@ -182,15 +525,99 @@ const getPackageMetadata = (cfg, name) => new Promise((resolve, reject) => {
 
   const found = paths.map((p) => {
     return path.join(p, name.split('/')[1], 'metadata.json');
-  }).find(fs.existsSync);
+  }).filter(fs.existsSync);
 
-  if ( found ) {
-    readMetadataFile(found, repo).then(resolve).catch(reject);
+  if ( found.length ) {
+    Promise.all(found.map((f) => readMetadataFile(f, repo))).then((list) => {
+      resolve(resolveShadowedPackages(list.map((m) => Object.assign({}, m)))[name]);
+    }).catch(reject);
   } else {
     reject('Package not found');
   }
 });
 
+/**
+ * Gets the state of a package
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} metadata Package metadata
+ * @return {Object} An object with {enabled, forced, overlay}
+ */
+const getPackageState = (cfg, metadata) => {
+  const forceEnabled = cfg.packages.ForceEnable || [];
+  const forceDisabled = cfg.packages.ForceDisable || [];
+  const names = [metadata.path, metadata.path.split('/')[1]];
+  const src = path.resolve(ROOT, metadata._src);
+
+  let forced = null;
+  if ( names.some((n) => forceDisabled.indexOf(n) !== -1) ) {
+    forced = 'disabled';
+  } else if ( names.some((n) => forceEnabled.indexOf(n) !== -1) ) {
+    forced = 'enabled';
+  }
+
+  const overlay = (cfg.overlays || []).find((o) => {
+    return src.indexOf(path.resolve(ROOT, o) + path.sep) === 0;
+  });
+
+  return {
+    enabled: outils.checkEnabledState(forceEnabled, forceDisabled, metadata),
+    forced: forced,
+    overlay: overlay || null
+  };
+};
+
+/**
+ * Gets the built files of a package
+ *
+ * @param {Object} metadata Package metadata
+ * @return {Promise} Resolves with filenames relative to root
+ */
+const getPackageFiles = (metadata) => {
+  const dest = path.join(ROOT, 'dist', 'packages', metadata.path);
+  return glob(path.join(dest, '**', '*'), {nodir: true}).then((files) => {
+    return files.map((f) => path.relative(ROOT, f));
+  });
+};
+
+/**
+ * Adds content hashes of built preload files to the package list
+ *
+ * Each preload file found in 'dist/packages/<repo>/<name>' gets a '?v='
+ * query with its hash and a subresource integrity ('integrity') hash
+ * the client can check the loaded file against.
+ * Remote and missing files are left as-is.
+ *
+ * @param {Object} packages Package list
+ * @return {Object} A new package list
+ */
+const addManifestHashes = (packages) => {
+  const result = {};
+
+  Object.keys(packages).forEach((k) => {
+    const metadata = Object.assign({}, packages[k]);
+    const dest = path.join(ROOT, 'dist', 'packages', metadata.path);
+
+    metadata.preload = (metadata.preload || []).map((iter) => {
+      const filename = path.join(dest, iter.src);
+      if ( iter.src.match(/^(\w+:)?\/\//) || iter.src.indexOf('?') !== -1 || !fs.existsSync(filename) ) {
+        return iter;
+      }
+
+      const data = fs.readFileSync(filename);
+
+      return Object.assign({}, iter, {
+        src: iter.src + '?v=' + crypto.createHash('sha1').update(data).digest('hex').substr(0, 10),
+        integrity: 'sha256-' + crypto.createHash('sha256').update(data).digest('base64')
+      });
+    });
+
+    result[k] = metadata;
+  });
+
+  return result;
+};
+
 /**
  * Builds the client manifest
  *
@@ -207,7 +634,7 @@ const buildClientManifest = (cfg, cli) => new Promise((resolve, reject) => {
   const dest = path.join(ROOT, 'dist', 'packages.js');
   getMetadata(cfg, cli).then((packages) => {
     let tpl = fs.readFileSync(path.join(ROOT, 'src/templates/dist/packages.js'));
-    tpl = tpl.toString().replace('%PACKAGES%', JSON.stringify(packages, null, 4));
+    tpl = tpl.toString().replace('%PACKAGES%', JSON.stringify(addManifestHashes(packages), null, 4));
 
     fs.writeFile(dest, tpl).then(resolve).catch(reject);
   }).catch(reject);
@@ -223,7 +650,7 @@ const buildClientManifest = (cfg, cli) => new Promise((resolve, reject) => {
 const buildServerManifest = (cfg, cli) => new Promise((resolve, reject) => {
   const dest = path.join(ROOT, 'src', 'server', 'packages.json');
   getMetadata(cfg, cli).then((packages) => {
-    const meta = outils.mutateManifest(packages);
+    const meta = outils.mutateManifest(addManifestHashes(packages));
     fs.writeFile(dest, JSON.stringify(meta, null, 4))
       .then(resolve).catch(reject);
   }).catch(reject);
@@ -231,40 +658,407 @@ const buildServerManifest = (cfg, cli) => new Promise((resolve, reject) => {
 
 /**
  * Builds given package
+ *
+ * If no name is given, the '--name' option is used and the
+ * dependencies are built first if '--with-deps' is set.
+ *
  * @param {Object} cfg Configuration tree
  * @param {Object} cli CLI wrapper
  * @param {Ojbect} ygor Task builder instance
- * @param {String} name Package name
+ * @param {String} [name] Package name
+ * @param {Boolean} [buffered=false] Collect the output and print it when done
  * @return {Promise}
  */
-const buildPackage = (cfg, cli, ygor, name) => new Promise((resolve, reject) => {
+const buildPackage = (cfg, cli, ygor, name, buffered) => new Promise((resolve, reject) => {
+  if ( !name && cli.option('with-deps', false) ) {
+    name = cli.option('name');
+
+    getMetadata(cfg, cli).then((manifest) => {
+      const order = getBuildOrder(manifest, [name]);
+      return promise.each(order, (n) => buildPackage(cfg, cli, ygor, n));
+    }).then(resolve).catch(reject);
+    return;
+  }
+
   name = name || cli.option('name');
 
   getPackageMetadata(cfg, name).then((metadata) => {
-    console.info('Building', colors.green(metadata.path));
+    const cwd = path.resolve(ROOT, metadata._src);
 
-    outils.execWebpack(cli, ygor, path.resolve(ROOT, metadata._src))
-      .then(resolve).catch(reject);
+    if ( buffered ) {
+      const print = (output) => {
+        console.info('Building', colors.green(metadata.path));
+        console.log(output.replace(/\s+$/, ''));
+      };
+
+      outils.execWebpackBuffered(cli, cwd).then((output) => {
+        print(output);
+        resolve();
+      }).catch((err) => {
+        print(err.output || '');
+        reject(err);
+      });
+    } else {
+      console.info('Building', colors.green(metadata.path));
+
+      outils.execWebpack(cli, ygor, cwd)
+        .then(resolve).catch(reject);
+    }
   }).catch(reject);
 });
 
+/**
+ * Packs a package into an archive
+ *
+ * The archive contains the package sources in 'package/' and a
+ * 'checksums.json' manifest used when installing.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with the archive filename
+ */
+const packPackage = (cfg, cli) => new Promise((resolve, reject) => {
+  const name = cli.option('name');
+  if ( !name ) {
+    return reject('You need to give --name');
+  }
+
+  return getMetadata(cfg, cli, (pkg, n) => n === name, true).then((packages) => {
+    if ( !packages[name] ) {
+      throw new Error('No such package ' + name);
+    }
+
+    const cwd = path.resolve(ROOT, packages[name]._src);
+    const out = path.resolve(ROOT, cli.option('out', name.replace('/', '-') + '.tgz'));
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'osjs-pack-'));
+
+    return findSourceFiles(cwd).then((files) => {
+      files.forEach((f) => fs.copySync(path.join(cwd, f), path.join(tmp, 'package', f)));
+      fs.writeJsonSync(path.join(tmp, 'checksums.json'), {
+        name: name,
+        algorithm: 'sha1',
+        files: createChecksums(cwd, files)
+      }, {spaces: 2});
+
+      return tar.c({gzip: true, file: out, cwd: tmp, portable: true}, ['checksums.json', 'package']);
+    }).then(() => {
+      fs.removeSync(tmp);
+      resolve(out);
+    }).catch((err) => {
+      fs.removeSync(tmp);
+      throw err;
+    });
+  }).catch(reject);
+});
+
+/**
+ * Installs a package from an archive created with packPackage()
+ *
+ * The package is installed into 'src/packages/<repo>', or the
+ * '--overlay' directory if given. Existing packages are only
+ * replaced when '--force' is set.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with the fully qualified package name
+ */
+const installPackage = (cfg, cli) => new Promise((resolve, reject) => {
+  const file = cli.option('file');
+  const repo = cli.option('repo', 'default');
+  const overlay = cli.option('overlay');
+
+  if ( !file ) {
+    return reject('You need to give --file');
+  } else if ( !String(repo).match(/^[\w\-\.]+$/) || String(repo).match(/^\.*$/) ) {
+    return reject('You need to give a valid --repo');
+  } else if ( overlay && (cfg.overlays || []).map((o) => path.resolve(ROOT, o)).indexOf(path.resolve(ROOT, overlay)) === -1 ) {
+    return reject(new Error('No such overlay ' + overlay));
+  }
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'osjs-install-'));
+  const cleanup = () => fs.removeSync(tmp);
+
+  return tar.x({file: path.resolve(ROOT, file), cwd: tmp}).then(() => {
+    const manifestFile = path.join(tmp, 'checksums.json');
+    if ( !fs.existsSync(manifestFile) ) {
+      throw new Error('The archive does not contain a checksum manifest');
+    }
+
+    const manifest = fs.readJsonSync(manifestFile);
+    const src = path.join(tmp, 'package');
+
+    return findSourceFiles(src).then((files) => {
+      const expected = Object.keys(manifest.files || {}).sort();
+      const actual = createChecksums(src, files);
+      const problems = expected.filter((f) => actual[f] !== manifest.files[f])
+        .concat(files.filter((f) => expected.indexOf(f) === -1));
+
+      if ( problems.length ) {
+        throw new Error('Checksum verification failed for: ' + problems.join(', '));
+      }
+
+      const packageName = path.basename(String(manifest.name));
+      if ( !fs.existsSync(path.join(src, 'metadata.json')) || packageName.match(/^\.*$/) ) {
+        throw new Error('The archive does not contain a valid package');
+      }
+
+      const base = overlay ? path.resolve(ROOT, overlay, 'packages') : path.join(ROOT, 'src', 'packages');
+      const dest = path.join(base, repo, packageName);
+
+      if ( fs.existsSync(dest) ) {
+        if ( !cli.option('force') ) {
+          throw new Error(path.relative(ROOT, dest) + ' already exists (use --force to overwrite)');
+        }
+        fs.removeSync(dest);
+      }
+
+      fs.copySync(src, dest);
+      console.log('Installed', colors.green(repo + '/' + packageName), 'in', path.relative(ROOT, dest));
+      if ( !outils.getRepositoryEntries(cfg).find((iter) => iter.name === repo) ) {
+        console.warn(colors.yellow('Repository ' + repo + ' is not in the configured repositories'));
+      }
+
+      return repo + '/' + packageName;
+    });
+  }).then((name) => {
+    cleanup();
+    resolve(name);
+  }).catch((err) => {
+    cleanup();
+    reject(err);
+  });
+});
+
 /**
  * Builds all packages
+ *
+ * Up to '--jobs' packages (defaults to number of CPUs) are built at the
+ * same time, but never before their dependencies. A failing package does
+ * not stop the other builds.
+ *
+ * Packages that has not changed since the last build are skipped unless
+ * '--force' is set.
+ *
  * @param {Object} cfg Configuration tree
  * @param {Object} cli CLI wrapper
  * @param {Ojbect} ygor Task builder instance
  * @return {Promise}
  */
 const buildPackages = (cfg, cli, ygor) => new Promise((resolve, reject) => {
-  getMetadata(cfg, cli).then((manifest) => {
-    promise.each(Object.keys(manifest), (name) => {
-      return buildPackage(cfg, cli, ygor, name);
-    }).then(resolve).catch(reject);
+  const jobs = Math.max(1, parseInt(cli.option('jobs', os.cpus().length), 10) || 1);
+
+  const force = cli.option('force', false);
+  const cache = readBuildCache();
+  const hashes = {};
+
+  let missing = {};
+
+  getMetadata(cfg, cli).then((packages) => {
+    missing = getMissingDependencies(packages);
+
+    const manifest = {};
+    Object.keys(packages).filter((n) => !missing[n]).forEach((n) => (manifest[n] = packages[n]));
+
+    const queue = getBuildOrder(manifest, Object.keys(manifest).sort());
+
+    // Dependencies comes first, so their hashes are included
+    return promise.each(queue, (name) => {
+      return getPackageHash(cfg, cli, manifest[name]).then((hash) => {
+        hashes[name] = crypto.createHash('sha1')
+          .update(hash + manifest[name].depends.map((d) => hashes[d]).join(''))
+          .digest('hex');
+      });
+    }).then(() => [manifest, queue]);
+  }).then(([manifest, queue]) => {
+    const built = [];
+    const failed = [];
+    const skipped = [];
+    const unchanged = [];
+    let running = 0;
+
+    const isUnchanged = (name) => {
+      const dest = path.join(ROOT, 'dist', 'packages', name);
+      return !force && cache[name] === hashes[name] && fs.existsSync(dest) && fs.readdirSync(dest).length > 0;
+    };
+
+    const finish = () => {
+      console.info('Built', colors.green(String(built.length - unchanged.length)), 'package(s),', unchanged.length, 'unchanged');
+      failed.forEach((n) => console.error(colors.red('Failed:'), n));
+      skipped.forEach((n) => console.error(colors.yellow('Skipped:'), n, '(dependency failed)'));
+      Object.keys(missing).forEach((n) => {
+        console.error(colors.yellow('Skipped:'), n, '(depends on ' + missing[n] + ' which is missing or disabled)');
+      });
+
+      if ( failed.length || skipped.length || Object.keys(missing).length ) {
+        const count = skipped.length + Object.keys(missing).length;
+        reject(new Error(failed.length + ' package(s) failed to build, ' + count + ' skipped'));
+      } else {
+        resolve();
+      }
+    };
+
+    const next = () => {
+      while ( running < jobs ) {
+        const idx = queue.findIndex((n) => {
+          return manifest[n].depends.every((d) => built.indexOf(d) !== -1 || failed.indexOf(d) !== -1 || skipped.indexOf(d) !== -1);
+        });
+
+        if ( idx === -1 ) {
+          break;
+        }
+
+        const name = queue.splice(idx, 1)[0];
+        if ( manifest[name].depends.some((d) => built.indexOf(d) === -1) ) {
+          skipped.push(name);
+          continue;
+        }
+
+        if ( isUnchanged(name) ) {
+          built.push(name);
+          unchanged.push(name);
+          continue;
+        }
+
+        running++;
+        buildPackage(cfg, cli, ygor, name, jobs > 1).then(() => {
+          updateBuildCache(name, hashes[name]);
+          built.push(name);
+        }).catch((err) => {
+          if ( jobs === 1 ) {
+            console.error(err.message || err);
+          }
+          failed.push(name);
+        }).then(() => {
+          running--;
+          next();
+        });
+      }
+
+      if ( running === 0 && !queue.length ) {
+        finish();
+      }
+    };
+
+    next();
   }).catch(reject);
 });
 
+/**
+ * Clears the package build cache
+ * @return {Promise}
+ */
+const clearBuildCache = () => fs.remove(BUILD_CACHE);
+
+/**
+ * Finds the test files of a package
+ *
+ * Uses the 'build.test' glob(s) in metadata if set, otherwise all
+ * scripts in the 'test/' directory of the package.
+ *
+ * @param {Object} metadata Package metadata
+ * @return {Promise} Resolves with absolute filenames
+ */
+const findPackageTests = (metadata) => {
+  const cwd = path.resolve(ROOT, metadata._src);
+  const patterns = metadata.build.test
+    ? [].concat(metadata.build.test)
+    : ['test/**/*.js'];
+
+  return Promise.all(patterns.map((p) => glob(p, {cwd: cwd, nodir: true, ignore: ['node_modules/**']}))).then((found) => {
+    return found.reduce((list, g) => list.concat(g), [])
+      .filter((f, i, list) => list.indexOf(f) === i)
+      .sort()
+      .map((f) => path.join(cwd, f));
+  });
+};
+
+/**
+ * Lints package metadata
+ *
+ * Checks metadata against the schema and makes sure that all
+ * referenced files exists.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise} Resolves with an array of {file, errors}
+ */
+const lintPackages = (cfg, cli) => new Promise((resolve, reject) => {
+  const ajv = new Ajv({allErrors: true, jsonPointers: true});
+  const validate = ajv.compile(fs.readJsonSync(path.join(__dirname, 'schemas', 'metadata.json')));
+
+  const lintFile = (file) => {
+    const dir = path.dirname(file);
+    const errors = [];
+
+    let meta;
+    try {
+      meta = fs.readJsonSync(file);
+    } catch ( e ) {
+      return [e.message];
+    }
+
+    if ( !validate(meta) ) {
+      validate.errors.filter((err) => err.keyword !== 'if').forEach((err) => {
+        const key = err.dataPath.split('/').slice(1).join('.');
+        errors.push((key || '<root>') + ' ' + err.message);
+      });
+    }
+
+    const checkFile = (key, f) => {
+      if ( typeof f === 'string' && !f.match(/^(https?:)?\/\//) ) {
+        if ( !fs.existsSync(path.resolve(dir, f.replace(/\?.*$/, ''))) ) {
+          errors.push(key + ' ' + f + ' does not exist');
+        }
+      }
+    };
+
+    ['preload', 'sources'].forEach((k) => {
+      (meta[k] instanceof Array ? meta[k] : []).forEach((iter, i) => {
+        checkFile(k + '.' + i, typeof iter === 'string' ? iter : (iter || {}).src);
+      });
+    });
+
+    const main = meta.main && meta.main.webpack instanceof Array ? meta.main.webpack : [];
+    main.forEach((iter, i) => checkFile('main.webpack.' + i, iter));
+
+    const copy = meta.build && meta.build.copy instanceof Array ? meta.build.copy : [];
+    copy.forEach((iter, i) => checkFile('build.copy.' + i, typeof iter === 'string' ? iter : (iter || {}).from));
+
+    return errors;
+  };
+
+  Promise.all(getRepositories(cfg, cli).map((repo) => findMetadataFiles(cfg, repo))).then((found) => {
+    const files = found.reduce((list, f) => list.concat(f), []);
+    resolve(files.map((file) => {
+      return {
+        file: path.relative(ROOT, file),
+        errors: lintFile(file)
+      };
+    }));
+  }).catch(reject);
+});
+
+/**
+ * Lists available package templates
+ * @param {Object} cfg Configuration tree
+ * @return {Object[]} List of {type, path}
+ */
+const listPackageTemplates = (cfg) => {
+  const templates = getPackageTemplates(cfg);
+  return Object.keys(templates).sort().map((t) => ({
+    type: t,
+    path: path.relative(ROOT, templates[t])
+  }));
+};
+
 /**
  * Generates a package
+ *
+ * All files in the template are copied recursively and the
+ * '%NAME%', '%REPO%', '%TITLE%', '%DESCRIPTION%', '%AUTHOR%', '%MIMES%'
+ * and '%ICON%' variables (and 'EXAMPLE') are replaced. Given values
+ * are also set in the resulting metadata.json.
+ *
  * @param {Object} cfg Configuration tree
  * @param {Object} cli CLI wrapper
  * @param {Ojbect} ygor Task builder instance
@@ -272,6 +1066,7 @@ const buildPackages = (cfg, cli, ygor) => new Promise((resolve, reject) => {
  */
 const generatePackage = (cfg, cli, ygor) => new Promise((resolve, reject) => {
   const type = cli.option('type') || 'application';
+  const dryRun = cli.option('dry-run', false);
 
   let fqpn = cli.option('name') || '';
   let split = fqpn.split('/');
@@ -291,20 +1086,70 @@ const generatePackage = (cfg, cli, ygor) => new Promise((resolve, reject) => {
     return reject(new Error(dest + ' already exists'));
   }
 
-  const src = path.join(ROOT, 'src', 'templates', 'package', type);
-  if ( !fs.existsSync(src) ) {
+  const src = getPackageTemplates(cfg)[type];
+  if ( !src ) {
     return reject(new Error('No such package type'));
   }
 
-  fs.copySync(src, dest);
+  const given = {
+    TITLE: cli.option('title'),
+    DESCRIPTION: cli.option('description'),
+    AUTHOR: cli.option('author'),
+    MIMES: cli.option('mimes'),
+    ICON: cli.option('icon')
+  };
 
-  return glob(path.join(dest, '*.*')).then((files) => {
-    files.forEach((f) => {
-      let r = fs.readFileSync(f, 'utf-8');
+  const variables = {
+    NAME: name,
+    REPO: repo,
+    TITLE: given.TITLE || name,
+    DESCRIPTION: given.DESCRIPTION || '',
+    AUTHOR: given.AUTHOR || '',
+    MIMES: given.MIMES || '',
+    ICON: given.ICON || ''
+  };
+
+  const ask = cli.option('interactive', false)
+    ? promptTemplateVariables(variables, Object.keys(given).filter((k) => !given[k]))
+    : Promise.resolve(variables);
+
+  return ask.then(() => {
+    return glob('**/*', {cwd: src, dot: true, nodir: true});
+  }).then((files) => {
+    const mimes = variables.MIMES.split(',').map((m) => m.trim()).filter((m) => !!m);
+
+    const output = files.sort().map((f) => {
+      const buffer = fs.readFileSync(path.join(src, f));
+      const isText = buffer.indexOf(0) === -1;
+      const filename = path.join(dest, applyTemplateVariables(f, variables));
+
+      let data = isText ? applyTemplateVariables(buffer.toString('utf-8'), variables, f) : buffer;
+      if ( isText && f === 'metadata.json' ) {
+        const metadata = JSON.parse(data);
+        metadata.name = variables.TITLE;
+        ['description', 'author', 'icon'].forEach((k) => {
+          if ( variables[k.toUpperCase()] ) {
+            metadata[k] = variables[k.toUpperCase()];
+          }
+        });
+        if ( mimes.length ) {
+          metadata.mime = mimes;
+        }
+        data = JSON.stringify(metadata, null, 2);
+      }
 
-      r = r.replace(/EXAMPLE/g, name);
+      return {filename, data};
+    });
+
+    if ( dryRun ) {
+      console.log('Would generate', dest, 'from', path.relative(ROOT, src));
+      output.forEach((iter) => console.log('  ' + path.relative(ROOT, iter.filename)));
+      return resolve(false);
+    }
 
-      fs.writeFileSync(f, r);
+    output.forEach((iter) => {
+      fs.ensureDirSync(path.dirname(iter.filename));
+      fs.writeFileSync(iter.filename, iter.data);
     });
 
     console.log('Package', dest, 'generated');
@@ -319,10 +1164,19 @@ const generatePackage = (cfg, cli, ygor) => new Promise((resolve, reject) => {
 module.exports = {
   getMetadata,
   getPackageMetadata,
+  getPackageState,
+  getPackageFiles,
+  getBuildOrder,
+  lintPackages,
+  findPackageTests,
+  listPackageTemplates,
   generatePackage,
   readMetadataFile,
   buildClientManifest,
   buildServerManifest,
   buildPackages,
+  clearBuildCache,
+  packPackage,
+  installPackage,
   buildPackage
 };
@@ -0,0 +1,247 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2017, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const childProcess = require('child_process');
+const colors = require('colors');
+const path = require('path');
+const fs = require('fs-extra');
+const promise = require('bluebird');
+const ocfg = require('./configuration.js');
+const outils = require('./utils.js');
+
+const ROOT = process.env.OSJS_ROOT || path.dirname(process.argv[1]);
+
+///////////////////////////////////////////////////////////////////////////////
+// HELPERS
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Runs a git command
+ * @param {String[]} args Arguments
+ * @param {String} [cwd] Working directory
+ * @return {String} Output
+ */
+const git = (args, cwd) => {
+  return childProcess.execFileSync('git', args, {
+    cwd: cwd || ROOT,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+};
+
+/**
+ * Resolves a ref in a clone, preferring remote branches over local ones
+ * @param {String} dir The clone
+ * @param {String} ref The ref
+ * @return {String} Commit hash
+ */
+const resolveRef = (dir, ref) => {
+  const candidates = ['origin/' + ref, ref];
+
+  for ( let i = 0; i < candidates.length; i++ ) {
+    try {
+      return git(['rev-parse', '--verify', '--quiet', candidates[i] + '^{commit}'], dir);
+    } catch ( e ) {
+      // Try next candidate
+    }
+  }
+
+  throw new Error('Could not find ref ' + ref);
+};
+
+/**
+ * Checks that the git URL and ref of an entry cannot be read as options
+ * @param {Object} entry Normalized repository entry
+ * @return {Boolean}
+ */
+const isValidSource = (entry) => {
+  return [entry.git, entry.ref].every((v) => !v || String(v).charAt(0) !== '-');
+};
+
+/**
+ * Writes the repository list to the configuration
+ * @param {Array} list Repository entries
+ * @return {Promise}
+ */
+const writeRepositories = (list) => {
+  return ocfg.setConfiguration('repositories', list, null, null, false);
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// API
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Lists configured repositories
+ * @param {Object} cfg Configuration tree
+ * @return {Object[]} Normalized entries with {type, source, synced}
+ */
+const listRepositories = (cfg) => {
+  return outils.getRepositoryEntries(cfg).map((iter) => {
+    const source = outils.getRepositorySourcePath(iter);
+    const type = iter.git ? 'git' : (iter.path ? 'path' : 'local');
+
+    return Object.assign({
+      type: type,
+      source: source ? path.relative(ROOT, source) : path.join('src', 'packages', iter.name),
+      synced: source ? fs.existsSync(source) : true
+    }, iter);
+  });
+};
+
+/**
+ * Fetches or updates git repositories into the cache
+ *
+ * Only the repository given with '--name' is synced if set.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise}
+ */
+const syncRepositories = (cfg, cli) => {
+  const name = cli.option('name');
+  const entries = outils.getRepositoryEntries(cfg).filter((iter) => {
+    return !name || iter.name === name;
+  });
+
+  if ( name && !entries.length ) {
+    return Promise.reject(new Error('No such repository ' + name));
+  }
+
+  return promise.each(entries, (iter) => {
+    const dest = outils.getRepositorySourcePath(iter);
+
+    if ( !iter.git ) {
+      if ( dest && !fs.existsSync(dest) ) {
+        console.warn(colors.yellow('Repository ' + iter.name + ' path does not exist: ' + iter.path));
+      }
+      return;
+    }
+
+    if ( !isValidSource(iter) ) {
+      throw new Error('Invalid git URL or ref for ' + iter.name);
+    }
+
+    try {
+      if ( fs.existsSync(dest) ) {
+        console.info('Updating', colors.green(iter.name), 'from', iter.git);
+        git(['remote', 'set-url', '--', 'origin', iter.git], dest);
+        git(['fetch', '--quiet', '--tags', 'origin'], dest);
+      } else {
+        console.info('Cloning', colors.green(iter.name), 'from', iter.git);
+        fs.ensureDirSync(path.dirname(dest));
+        git(['clone', '--quiet', '--no-checkout', '--', iter.git, dest]);
+      }
+
+      const commit = resolveRef(dest, iter.ref);
+      git(['checkout', '--quiet', '--force', '--detach', commit], dest);
+      console.log(colors.green(iter.name), 'is at', iter.ref, colors.yellow('(' + commit.substr(0, 7) + ')'));
+    } catch ( e ) {
+      throw new Error('Failed to sync ' + iter.name + ': ' + String(e.stderr || e.message).trim());
+    }
+  });
+};
+
+/**
+ * Adds a repository to the configuration
+ *
+ * Uses '--name' and optionally '--path' or '--git' and '--ref'.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise}
+ */
+const addRepository = (cfg, cli) => {
+  const name = cli.option('name');
+  const source = cli.option('path');
+  const url = cli.option('git');
+  const ref = cli.option('ref');
+
+  if ( !name || !String(name).match(/^[\w\-\.]+$/) ) {
+    return Promise.reject('You need to give a valid --name');
+  } else if ( source && url ) {
+    return Promise.reject('You can only give one of --path and --git');
+  } else if ( ref && !url ) {
+    return Promise.reject('--ref can only be used with --git');
+  } else if ( !isValidSource({git: url, ref: ref}) ) {
+    return Promise.reject('--git and --ref can not start with a dash');
+  } else if ( outils.getRepositoryEntries(cfg).find((iter) => iter.name === name) ) {
+    return Promise.reject(new Error('Repository ' + name + ' already exists'));
+  }
+
+  let entry = name;
+  if ( source ) {
+    entry = {name: name, path: source};
+  } else if ( url ) {
+    entry = ref ? {name: name, git: url, ref: ref} : {name: name, git: url};
+  }
+
+  return writeRepositories((cfg.repositories || []).concat([entry]));
+};
+
+/**
+ * Removes a repository from the configuration
+ *
+ * The synced copy in the cache is removed as well.
+ *
+ * @param {Object} cfg Configuration tree
+ * @param {Object} cli CLI wrapper
+ * @return {Promise}
+ */
+const removeRepository = (cfg, cli) => {
+  const name = cli.option('name');
+  const entry = outils.getRepositoryEntries(cfg).find((iter) => iter.name === name);
+
+  if ( !entry ) {
+    return Promise.reject(new Error('No such repository ' + name));
+  }
+
+  const list = (cfg.repositories || []).filter((iter) => {
+    return outils.normalizeRepository(iter).name !== name;
+  });
+
+  return writeRepositories(list).then(() => {
+    if ( entry.git ) {
+      return fs.remove(outils.getRepositorySourcePath(entry));
+    }
+    return true;
+  });
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+module.exports = {
+  listRepositories,
+  syncRepositories,
+  addRepository,
+  removeRepository
+};
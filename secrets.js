@@ -0,0 +1,242 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2017, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+
+const ROOT = process.env.OSJS_ROOT || path.dirname(process.argv[1]);
+const ENV_FILE = path.join(ROOT, '.env');
+const ENCRYPTED_FILE = path.join(ROOT, '.secrets.json');
+const ALGORITHM = 'aes-256-gcm';
+
+///////////////////////////////////////////////////////////////////////////////
+// HELPERS
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Gets the encryption key from the environment
+ * @param {String} salt The salt
+ * @return {Buffer}
+ */
+const getKey = (salt) => {
+  const secret = process.env.OSJS_SECRETS_KEY;
+  if ( !secret ) {
+    throw new Error('OSJS_SECRETS_KEY is not set');
+  }
+
+  return crypto.pbkdf2Sync(secret, Buffer.from(salt, 'hex'), 10000, 32, 'sha256');
+};
+
+/**
+ * Parses a value in the .env file
+ *
+ * Double-quoted values are JSON strings (as written by setSecret()),
+ * single-quoted values are taken literally.
+ *
+ * @param {String} value The raw value
+ * @return {String}
+ */
+const parseEnvValue = (value) => {
+  if ( value.match(/^".*"$/) ) {
+    try {
+      return JSON.parse(value);
+    } catch ( e ) {
+      return value.substr(1, value.length - 2);
+    }
+  }
+
+  return value.replace(/^'(.*)'$/, '$1');
+};
+
+/**
+ * Reads the .env file
+ * @return {Object}
+ */
+const readEnvFile = () => {
+  const result = {};
+  if ( !fs.existsSync(ENV_FILE) ) {
+    return result;
+  }
+
+  fs.readFileSync(ENV_FILE, 'utf-8').split(/\r?\n/).forEach((line) => {
+    const m = line.match(/^\s*(?:export\s+)?([\w\.\-]+)\s*=\s*(.*)\s*$/);
+    if ( m ) {
+      result[m[1]] = parseEnvValue(m[2].trim());
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Reads the encrypted secrets file
+ * @return {Object}
+ */
+const readEncryptedFile = () => {
+  if ( !fs.existsSync(ENCRYPTED_FILE) ) {
+    return {salt: crypto.randomBytes(16).toString('hex'), secrets: {}};
+  }
+
+  return fs.readJsonSync(ENCRYPTED_FILE);
+};
+
+/**
+ * Decrypts an entry from the encrypted secrets file
+ * @param {Object} file The encrypted file
+ * @param {String} name The entry name
+ * @return {String}
+ */
+const decrypt = (file, name) => {
+  const entry = file.secrets[name];
+  const key = getKey(file.salt);
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(entry.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'hex'));
+
+    return decipher.update(entry.data, 'hex', 'utf8') + decipher.final('utf8');
+  } catch ( e ) {
+    throw new Error('Could not decrypt secret ' + name + ' (wrong OSJS_SECRETS_KEY?)');
+  }
+};
+
+/**
+ * Encrypts a value for the encrypted secrets file
+ * @param {Object} file The encrypted file
+ * @param {String} value The value
+ * @return {Object}
+ */
+const encrypt = (file, value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(file.salt), iv);
+  const data = cipher.update(String(value), 'utf8', 'hex') + cipher.final('hex');
+
+  return {
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: data
+  };
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// API
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Gets a secret
+ *
+ * Looks in the encrypted secrets file first, then the .env file.
+ *
+ * @param {String} name Secret name
+ * @throws {Error} If the secret could not be decrypted
+ * @return {String} The value or undefined if not found
+ */
+const getSecret = (name) => {
+  const file = readEncryptedFile();
+  if ( file.secrets[name] ) {
+    return decrypt(file, name);
+  }
+
+  return readEnvFile()[name];
+};
+
+/**
+ * Sets a secret
+ *
+ * Writes to the encrypted secrets file if OSJS_SECRETS_KEY is set,
+ * otherwise to the .env file.
+ *
+ * @param {String} name Secret name
+ * @param {String} value Secret value
+ * @return {Promise} Resolves with the filename
+ */
+const setSecret = (name, value) => new Promise((resolve, reject) => {
+  if ( !name || !String(name).match(/^[\w\.\-]+$/) ) {
+    reject(new Error('Invalid secret name'));
+    return;
+  }
+
+  if ( typeof value === 'undefined' ) {
+    reject(new Error('No value given'));
+    return;
+  }
+
+  if ( process.env.OSJS_SECRETS_KEY ) {
+    const file = readEncryptedFile();
+    file.secrets[name] = encrypt(file, value);
+
+    fs.writeFile(ENCRYPTED_FILE, JSON.stringify(file, null, 2), {mode: 0o600})
+      .then(() => resolve(ENCRYPTED_FILE))
+      .catch(reject);
+    return;
+  }
+
+  const line = name + '=' + JSON.stringify(String(value));
+  const lines = fs.existsSync(ENV_FILE) ? fs.readFileSync(ENV_FILE, 'utf-8').replace(/\n$/, '').split('\n') : [];
+  const idx = lines.findIndex((l) => l.match(new RegExp('^\\s*(export\\s+)?' + name.replace(/\./g, '\\.') + '\\s*=')));
+  if ( idx === -1 ) {
+    lines.push(line);
+  } else {
+    lines[idx] = line;
+  }
+
+  fs.writeFile(ENV_FILE, lines.join('\n') + '\n', {mode: 0o600})
+    .then(() => resolve(ENV_FILE))
+    .catch(reject);
+});
+
+/**
+ * Lists all secret names and where they are stored
+ * @return {Object[]} An array of {name, file}
+ */
+const listSecrets = () => {
+  const env = Object.keys(readEnvFile()).map((name) => {
+    return {name, file: path.basename(ENV_FILE)};
+  });
+
+  const encrypted = Object.keys(readEncryptedFile().secrets).map((name) => {
+    return {name, file: path.basename(ENCRYPTED_FILE)};
+  });
+
+  return encrypted.concat(env.filter((iter) => {
+    return !encrypted.find((e) => e.name === iter.name);
+  }));
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+module.exports = {
+  getSecret,
+  setSecret,
+  listSecrets
+};
@@ -31,11 +31,13 @@
 const fs = require('fs-extra');
 const qs = require('querystring');
 const path = require('path');
+const childProcess = require('child_process');
 
 const ROOT = process.env.OSJS_ROOT || path.dirname(process.argv[1]);
 const ISWIN = /^win/.test(process.platform);
 const DEBUG = process.env.OSJS_DEBUG ===  'true';
 const STANDALONE = process.env.OSJS_STANDALONE === 'true';
+const REPOSITORY_CACHE = path.join(ROOT, '.osjs-cache', 'repositories');
 
 ///////////////////////////////////////////////////////////////////////////////
 // HELPERS
@@ -58,6 +60,10 @@ function mutateManifest(packages) {
       delete packages[p].enabled;
     }
 
+    if ( packages[p].shadows ) {
+      delete packages[p].shadows;
+    }
+
     if ( packages[p].type === 'service' ) {
       packages[p].singular = true;
     }
@@ -94,6 +100,49 @@ function checkEnabledState(enabled, disabled, meta) {
   return true;
 }
 
+/**
+ * Normalizes a repository entry from the configuration
+ *
+ * Entries are either a name, {name, path} for a local directory or
+ * {name, git, ref} for a git repository synced into the cache.
+ *
+ * @param {String|Object} entry Repository entry
+ * @return {Object} An object with {name, path, git, ref}
+ */
+function normalizeRepository(entry) {
+  const iter = typeof entry === 'string' ? {name: entry} : Object.assign({}, entry);
+
+  return {
+    name: iter.name,
+    path: iter.path || null,
+    git: iter.git || null,
+    ref: iter.git ? (iter.ref || 'HEAD') : null
+  };
+}
+
+/**
+ * Gets all configured repositories
+ * @param {Object} cfg Configuration tree
+ * @return {Object[]} Normalized entries
+ */
+function getRepositoryEntries(cfg) {
+  return (cfg.repositories || []).map(normalizeRepository);
+}
+
+/**
+ * Gets the directory of a repository from its source
+ * @param {Object} entry Normalized repository entry
+ * @return {String} Or null if the repository has no source
+ */
+function getRepositorySourcePath(entry) {
+  if ( entry.path ) {
+    return path.resolve(ROOT, entry.path);
+  } else if ( entry.git ) {
+    return path.join(REPOSITORY_CACHE, entry.name);
+  }
+  return null;
+}
+
 /**
  * Gets all package paths
  * @param {Object} cfg Configuration tree
@@ -105,9 +154,13 @@ function getPackagePaths(cfg, repo) {
     path.join(ROOT, 'src/packages', repo)
   ];
 
-  return base.concat(cfg.overlays.map((f) => {
+  const sources = getRepositoryEntries(cfg)
+    .filter((iter) => iter.name === repo)
+    .map(getRepositorySourcePath);
+
+  return base.concat(sources).concat(cfg.overlays.map((f) => {
     return path.resolve(ROOT, f, 'packages', repo);
-  }).filter((f) => fs.existsSync(f)));
+  })).filter((f, i) => f && (i === 0 || fs.existsSync(f)));
 }
 
 /**
@@ -154,6 +207,22 @@ const mergeObject = (into, from) => {
   return mergeJSON(into, from);
 };
 
+/**
+ * Gets the environment passed on to Webpack
+ * @param {Object} cli CLI
+ * @return {Object}
+ */
+const getWebpackEnvironment = (cli) => {
+  return {
+    OSJS_OPTIONS: qs.stringify(cli),
+    OSJS_DEBUG: String(cli.debug === true),
+    OSJS_STANDALONE: String(cli.standalone === true),
+    OSJS_PROFILE: cli.profile || process.env.OSJS_PROFILE || '',
+    OSJS_CONFIG_SNAPSHOT: cli.snapshot || cli['config-snapshot'] || process.env.OSJS_CONFIG_SNAPSHOT || '',
+    OSJS_ROOT: ROOT
+  };
+};
+
 /**
  * A wrapper for executing Webpack
  * @param {Object} cli CLI
@@ -168,15 +237,39 @@ const execWebpack = (cli, ygor, cwd, params) => {
   const wp = path.resolve(ROOT, 'node_modules/.bin/webpack');
   return ygor.shell(wp + (params ? ' ' + params : ''), {
     cwd: cwd,
-    env: {
-      OSJS_OPTIONS: qs.stringify(cli),
-      OSJS_DEBUG: String(cli.debug === true),
-      OSJS_STANDALONE: String(cli.standalone === true),
-      OSJS_ROOT: ROOT
-    }
+    env: getWebpackEnvironment(cli)
   });
 };
 
+/**
+ * Executes Webpack in the background and collects the output
+ *
+ * On failure the error has the collected output in 'output'.
+ *
+ * @param {Object} cli CLI
+ * @param {String} cwd Working directory
+ * @param {String} [params] Parameters to use
+ * @return {Promise} Resolves with the output
+ */
+const execWebpackBuffered = (cli, cwd, params) => new Promise((resolve, reject) => {
+  params = params || '';
+
+  const wp = path.resolve(ROOT, 'node_modules/.bin/webpack');
+  childProcess.exec(wp + (params ? ' ' + params : ''), {
+    cwd: cwd,
+    maxBuffer: 64 * 1024 * 1024,
+    env: Object.assign({}, process.env, getWebpackEnvironment(cli))
+  }, (err, stdout, stderr) => {
+    const output = String(stdout) + String(stderr);
+    if ( err ) {
+      err.output = output;
+      reject(err);
+    } else {
+      resolve(output);
+    }
+  });
+});
+
 /**
  * Fixes problems with windows paths
  * @param {String} str A path of sorts
@@ -218,8 +311,12 @@ module.exports = {
   mutateManifest,
   checkEnabledState,
   getPackagePaths,
+  getRepositoryEntries,
+  getRepositorySourcePath,
+  normalizeRepository,
   mergeObject,
   execWebpack,
+  execWebpackBuffered,
   getFiltered,
   findFile
 };
@@ -286,6 +286,7 @@ const resolveConfiguration = (cfg, input, webpack, useOverlays) => {
  * @param {Boolean} [options.minimize] Minimize output
  * @param {Boolean} [options.sourcemaps] Generate source maps
  * @param {String} [options.devtool] Specify devtool
+ * @param {String} [options.configSnapshot] Use this configuration snapshot (defaults to OSJS_CONFIG_SNAPSHOT)
  * @return {Promise}
  */
 const createConfiguration = (options) => new Promise((resolve, reject) => {
@@ -305,7 +306,12 @@ const createConfiguration = (options) => new Promise((resolve, reject) => {
     }
   };
 
-  ocfg.readConfigurationTree().then((cfg) => {
+  const snapshot = options.configSnapshot || process.env.OSJS_CONFIG_SNAPSHOT;
+  const read = snapshot
+    ? ocfg.readConfigurationSnapshot(snapshot)
+    : ocfg.readConfigurationTree();
+
+  read.then((cfg) => {
     resolve({
       settings: cfg,
       options: options,
@@ -635,6 +641,7 @@ const createThemeConfiguration = (options) => new Promise((resolve, reject) => {
 ///////////////////////////////////////////////////////////////////////////////
 
 module.exports = {
+  getIndexIncludes,
   createConfiguration,
   createCoreConfiguration,
   createPackageConfiguration,